@@ -1,6 +1,7 @@
 import { MongoClient } from 'mongodb'
 import { v4 as uuidv4 } from 'uuid'
 import { NextResponse } from 'next/server'
+import { authorize } from '@/lib/auth'
 
 // MongoDB connection
 let client
@@ -15,12 +16,14 @@ async function connectToMongo() {
   return db
 }
 
-// Helper function to handle CORS
+// Helper function to handle CORS. Cross-origin access is opt-in, as in
+// next.config.js: without CORS_ORIGINS no CORS headers are sent.
 function handleCORS(response) {
-  response.headers.set('Access-Control-Allow-Origin', process.env.CORS_ORIGINS || '*')
+  if (!process.env.CORS_ORIGINS) return response
+
+  response.headers.set('Access-Control-Allow-Origin', process.env.CORS_ORIGINS)
   response.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-  response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization')
-  response.headers.set('Access-Control-Allow-Credentials', 'true')
+  response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Workspace-Id')
   return response
 }
 
@@ -36,6 +39,9 @@ async function handleRoute(request, { params }) {
   const method = request.method
 
   try {
+    const auth = await authorize(request, method === 'GET' ? 'read' : 'analyze')
+    if (auth.response) return handleCORS(auth.response)
+
     const db = await connectToMongo()
 
     // Root endpoint - GET /api/root (since /api/ is not accessible with catch-all)
@@ -0,0 +1,136 @@
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { subscribeToAnalysis, TERMINAL_STAGES } from '@/lib/analysis-events';
+
+// Re-read the document periodically in case the job runs in another process
+const FALLBACK_POLL_MS = 2000;
+const HEARTBEAT_MS = 15000;
+
+function toStageEvent(analysis) {
+  return {
+    analysisId: analysis._id,
+    status: analysis.status,
+    stage: analysis.stage || (analysis.status === 'analyzing' ? 'queued' : analysis.status),
+    stageHistory: analysis.stageHistory || [],
+    attempts: analysis.attempts || 0,
+    lastError: analysis.lastError || null,
+  };
+}
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Analysis ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const collection = await getCollection('analyses');
+    const analysis = await collection.findOne({ _id: id, workspaceId: auth.workspaceId });
+
+    if (!analysis) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    const encoder = new TextEncoder();
+    let cleanup = () => {};
+
+    const stream = new ReadableStream({
+      start(controller) {
+        let closed = false;
+        let lastKey = null;
+        let checking = false;
+
+        const send = (event, data) => {
+          if (closed) return;
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        };
+
+        const publish = (doc) => {
+          const stageEvent = toStageEvent(doc);
+          const key = `${stageEvent.stage}:${stageEvent.attempts}`;
+          if (key !== lastKey) {
+            lastKey = key;
+            send('stage', stageEvent);
+          }
+
+          if (TERMINAL_STAGES.includes(stageEvent.stage) || doc.status !== 'analyzing') {
+            send('done', doc);
+            cleanup();
+          }
+        };
+
+        const check = async () => {
+          if (closed || checking) return;
+          checking = true;
+          try {
+            const doc = await collection.findOne({ _id: id });
+            if (!doc) {
+              send('error', { error: 'Analysis not found' });
+              cleanup();
+              return;
+            }
+            publish(doc);
+          } catch (error) {
+            console.error(`[${id}] Event stream refresh failed:`, error);
+          } finally {
+            checking = false;
+          }
+        };
+
+        const unsubscribe = subscribeToAnalysis(id, check);
+        const poll = setInterval(check, FALLBACK_POLL_MS);
+        const heartbeat = setInterval(() => {
+          if (!closed) controller.enqueue(encoder.encode(': keep-alive\n\n'));
+        }, HEARTBEAT_MS);
+
+        cleanup = () => {
+          if (closed) return;
+          closed = true;
+          unsubscribe();
+          clearInterval(poll);
+          clearInterval(heartbeat);
+          try {
+            controller.close();
+          } catch (e) {
+            // Already closed by the client
+          }
+        };
+
+        request.signal.addEventListener('abort', () => cleanup());
+        publish(analysis);
+      },
+      cancel() {
+        cleanup();
+      },
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      },
+    });
+  } catch (error) {
+    console.error('Analysis event stream error:', error);
+    return NextResponse.json(
+      { error: 'Failed to open analysis event stream', details: error.message },
+      { status: 500 }
+    );
+  }
+}
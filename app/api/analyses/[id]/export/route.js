@@ -0,0 +1,53 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { analysisName } from '@/lib/analysis-name';
+import { exportAnalyses, exportFilename, exportResponse, readExportFormat } from '@/lib/report-export';
+
+/**
+ * Download a completed analysis as a PDF, Markdown, CSV (one row per
+ * section) or JSON report.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { format, response } = readExportFormat(request);
+    if (response) return response;
+
+    const { id } = params;
+    const collection = await getCollection('analyses');
+    const analysis = await collection.findOne({ _id: id, workspaceId: auth.workspaceId });
+
+    if (!analysis) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    if (analysis.status !== 'completed') {
+      return NextResponse.json(
+        { error: 'Only completed analyses can be exported' },
+        { status: 409 }
+      );
+    }
+
+    const name = analysisName(analysis);
+    return exportResponse(
+      exportAnalyses([analysis], format, {
+        title: `Conversion report: ${name}`,
+        filename: exportFilename(name, analysis.completedAt),
+      })
+    );
+  } catch (error) {
+    console.error('Export analysis error:', error);
+    return NextResponse.json(
+      { error: 'Failed to export analysis', details: error.message },
+      { status: 500 }
+    );
+  }
+}
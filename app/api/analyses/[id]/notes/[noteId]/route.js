@@ -0,0 +1,78 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { deleteNote, getNote, isNoteAuthor, updateNote, validateNoteBody } from '@/lib/notes';
+
+function noteNotFound() {
+  return NextResponse.json(
+    { error: 'Note not found' },
+    { status: 404 }
+  );
+}
+
+/**
+ * Edit a note. Only its author can.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id, noteId } = params;
+    const note = await getNote(noteId, id, auth.workspaceId);
+    if (!note) return noteNotFound();
+
+    if (!isNoteAuthor(note, auth)) {
+      return NextResponse.json(
+        { error: 'Only the author can edit this note', code: 'FORBIDDEN' },
+        { status: 403 }
+      );
+    }
+
+    const payload = await request.json();
+    const { body, error } = validateNoteBody(payload.body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    return NextResponse.json(await updateNote(noteId, body));
+  } catch (error) {
+    console.error('Update note error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update note', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a note. Authors can delete their own; workspace admins any.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id, noteId } = params;
+    const note = await getNote(noteId, id, auth.workspaceId);
+    if (!note) return noteNotFound();
+
+    if (!isNoteAuthor(note, auth) && !auth.scopes.includes('admin')) {
+      return NextResponse.json(
+        { error: 'Only the author or a workspace admin can delete this note', code: 'FORBIDDEN' },
+        { status: 403 }
+      );
+    }
+
+    await deleteNote(noteId);
+
+    return NextResponse.json({ message: 'Note deleted successfully' });
+  } catch (error) {
+    console.error('Delete note error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete note', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,77 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { createNote, listNotes, noteAuthor, validateNoteBody, validateNoteSection } from '@/lib/notes';
+
+async function analysisExists(id, workspaceId) {
+  const collection = await getCollection('analyses');
+  return Boolean(await collection.findOne({ _id: id, workspaceId }, { projection: { _id: 1 } }));
+}
+
+/**
+ * The notes thread of an analysis, oldest first. `?section=` narrows it to
+ * one section (`overall`, `headline`, `subheadline`, `cta` or `bodyCopy`).
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    const sectionParam = new URL(request.url).searchParams.get('section');
+    const { section, error } = sectionParam ? validateNoteSection(sectionParam) : {};
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    if (!(await analysisExists(id, auth.workspaceId))) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ notes: await listNotes(id, auth.workspaceId, { section }) });
+  } catch (error) {
+    console.error('Fetch notes error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch notes', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    const payload = await request.json();
+
+    const { section, error: sectionError } = validateNoteSection(payload.section);
+    const { body, error: bodyError } = validateNoteBody(payload.body);
+    if (sectionError || bodyError) {
+      return NextResponse.json({ error: sectionError || bodyError }, { status: 400 });
+    }
+
+    if (!(await analysisExists(id, auth.workspaceId))) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    const note = await createNote(id, auth.workspaceId, { section, body, author: await noteAuthor(auth) });
+
+    return NextResponse.json(note, { status: 201 });
+  } catch (error) {
+    console.error('Create note error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create note', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,86 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { SECTIONS } from '@/lib/analysis-summary';
+import { noteAuthor } from '@/lib/notes';
+import { validateRewriteConstraints } from '@/lib/rewrite-constraints';
+import { regenerateRewrites } from '@/lib/rewrites';
+
+/**
+ * Generate more rewrites for one section of a completed analysis, e.g.
+ * `{ "variants": 3, "maxChars": 60, "tone": "playful", "mustInclude": ["free"],
+ * "forbiddenWords": ["revolutionary"] }` (every field optional). New rewrites
+ * are added to the stored ones and the run is kept in `rewriteHistory`.
+ */
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id, section } = params;
+    if (!SECTIONS.includes(section)) {
+      return NextResponse.json(
+        { error: `Section must be one of: ${SECTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { constraints, error } = validateRewriteConstraints(section, body || {});
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const collection = await getCollection('analyses');
+    const analysis = await collection.findOne({ _id: id, workspaceId: auth.workspaceId });
+
+    if (!analysis) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    if (analysis.status !== 'completed') {
+      return NextResponse.json(
+        { error: 'Rewrites can only be regenerated for completed analyses' },
+        { status: 409 }
+      );
+    }
+
+    let result;
+    try {
+      result = await regenerateRewrites(analysis, section, constraints, await noteAuthor(auth));
+    } catch (error) {
+      if (error.code !== 'REWRITE_CONSTRAINTS_UNMET') throw error;
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: 422 }
+      );
+    }
+
+    if (result.conflict) {
+      return NextResponse.json(
+        { error: 'Rewrites for this section changed while generating; try again' },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        generation: result.generation,
+        rewrites: result.analysis.rewrites[section],
+        rewriteScores: result.analysis.rewriteScores[section],
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Regenerate rewrites error:', error);
+    return NextResponse.json(
+      { error: 'Failed to regenerate rewrites', details: error.message },
+      { status: 500 }
+    );
+  }
+}
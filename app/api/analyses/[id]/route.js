@@ -1,8 +1,16 @@
 import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
 import { getCollection } from '@/lib/db';
+import { refreshPage } from '@/lib/pages';
+import { getProject } from '@/lib/projects';
+import { validateTags } from '@/lib/tags';
+import { deleteNotesForAnalysis } from '@/lib/notes';
 
 export async function GET(request, { params }) {
   try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
     const { id } = params;
 
     if (!id) {
@@ -13,7 +21,7 @@ export async function GET(request, { params }) {
     }
 
     const collection = await getCollection('analyses');
-    const analysis = await collection.findOne({ _id: id });
+    const analysis = await collection.findOne({ _id: id, workspaceId: auth.workspaceId });
 
     if (!analysis) {
       return NextResponse.json(
@@ -32,8 +40,73 @@ export async function GET(request, { params }) {
   }
 }
 
+/**
+ * Organize an analysis: replace its `tags` and/or move it to a project
+ * (`projectId`, or null to unassign). The report itself is immutable.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    const body = await request.json();
+    const update = {};
+
+    if (body.tags !== undefined) {
+      const { tags, error } = validateTags(body.tags);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      update.tags = tags;
+    }
+
+    if (body.projectId !== undefined) {
+      if (body.projectId !== null && !(await getProject(body.projectId, auth.workspaceId))) {
+        return NextResponse.json(
+          { error: 'Project not found' },
+          { status: 400 }
+        );
+      }
+      update.projectId = body.projectId;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return NextResponse.json(
+        { error: 'Nothing to update: send "tags" and/or "projectId"' },
+        { status: 400 }
+      );
+    }
+
+    const collection = await getCollection('analyses');
+    const analysis = await collection.findOneAndUpdate(
+      { _id: id, workspaceId: auth.workspaceId },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+
+    if (!analysis) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(analysis);
+  } catch (error) {
+    console.error('Update analysis error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update analysis', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
 export async function DELETE(request, { params }) {
   try {
+    const auth = await authorize(request, 'delete');
+    if (auth.response) return auth.response;
+
     const { id } = params;
 
     if (!id) {
@@ -44,15 +117,18 @@ export async function DELETE(request, { params }) {
     }
 
     const collection = await getCollection('analyses');
-    const result = await collection.deleteOne({ _id: id });
+    const deleted = await collection.findOneAndDelete({ _id: id, workspaceId: auth.workspaceId }, { projection: { pageId: 1 } });
 
-    if (result.deletedCount === 0) {
+    if (!deleted) {
       return NextResponse.json(
         { error: 'Analysis not found' },
         { status: 404 }
       );
     }
 
+    await refreshPage(deleted.pageId);
+    await deleteNotesForAnalysis(id, auth.workspaceId);
+
     return NextResponse.json({ message: 'Analysis deleted successfully' });
   } catch (error) {
     console.error('Delete analysis error:', error);
@@ -0,0 +1,30 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { revokeShare } from '@/lib/shares';
+
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id, shareId } = params;
+    const revoked = await revokeShare(shareId, id, auth.workspaceId);
+
+    if (!revoked) {
+      return NextResponse.json(
+        { error: 'Share link not found or already revoked' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke share link', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { createShare, listShares, publicShare, validateShareOptions } from '@/lib/shares';
+
+async function findAnalysis(id, workspaceId) {
+  const collection = await getCollection('analyses');
+  return collection.findOne({ _id: id, workspaceId }, { projection: { status: 1 } });
+}
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    if (!(await findAnalysis(id, auth.workspaceId))) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ shares: await listShares(id, auth.workspaceId) });
+  } catch (error) {
+    console.error('Fetch shares error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch share links', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Mint a read-only link to a completed analysis. The token is returned once,
+ * inside `url`; only its hash is stored.
+ */
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    const analysis = await findAnalysis(id, auth.workspaceId);
+
+    if (!analysis) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    if (analysis.status !== 'completed') {
+      return NextResponse.json(
+        { error: 'Only completed analyses can be shared' },
+        { status: 409 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { options, error } = validateShareOptions(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const { share, token } = await createShare(id, auth.workspaceId, { ...options, createdBy: auth.userId });
+    const url = new URL(`/r/${token}`, process.env.NEXT_PUBLIC_BASE_URL || request.url).toString();
+
+    return NextResponse.json({ ...publicShare(share), token, url }, { status: 201 });
+  } catch (error) {
+    console.error('Create share error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create share link', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,52 @@
+export const dynamic = "force-dynamic";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { compareAnalyses } from '@/lib/analysis-compare';
+
+export async function GET(request) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { searchParams } = new URL(request.url);
+    const a = searchParams.get('a');
+    const b = searchParams.get('b');
+
+    if (!a || !b) {
+      return NextResponse.json(
+        { error: 'Two analysis IDs are required (?a=...&b=...)' },
+        { status: 400 }
+      );
+    }
+
+    const collection = await getCollection('analyses');
+    const [analysisA, analysisB] = await Promise.all([
+      collection.findOne({ _id: a, workspaceId: auth.workspaceId }),
+      collection.findOne({ _id: b, workspaceId: auth.workspaceId }),
+    ]);
+
+    if (!analysisA || !analysisB) {
+      return NextResponse.json(
+        { error: 'Analysis not found', missing: [!analysisA && a, !analysisB && b].filter(Boolean) },
+        { status: 404 }
+      );
+    }
+
+    if (analysisA.status !== 'completed' || analysisB.status !== 'completed') {
+      return NextResponse.json(
+        { error: 'Both analyses must be completed to compare them' },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json(compareAnalyses(analysisA, analysisB));
+  } catch (error) {
+    console.error('Compare analyses error:', error);
+    return NextResponse.json(
+      { error: 'Failed to compare analyses', details: error.message },
+      { status: 500 }
+    );
+  }
+}
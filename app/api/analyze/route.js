@@ -1,61 +1,105 @@
 export const runtime = "nodejs";
 
 import { NextResponse } from 'next/server';
-import { v4 as uuidv4 } from 'uuid';
+import { authorize } from '@/lib/auth';
 import { getCollection } from '@/lib/db';
-import { scrapeWebsite, extractContent } from '@/lib/scraper';
-import { analyzeContent } from '@/lib/ai-analyzer';
-import { analyzeMl, generateMlPredictions } from '@/lib/dl-analyzer';
+import { buildAnalysis, enqueueAnalysis } from '@/lib/analysis-pipeline';
+import { ensureJobWorker } from '@/lib/worker';
+import { resolveLlmConfig, validateLlmConfig } from '@/lib/llm-providers';
+import { getWorkspaceLlm } from '@/lib/workspaces';
+import { readAnalysisSource } from '@/lib/analysis-source';
+import { parseAnalysisQuery } from '@/lib/analysis-query';
+import { validateTags } from '@/lib/tags';
+import { getProject } from '@/lib/projects';
+import { NO_BRAND_VOICE, getBrandVoice } from '@/lib/brand-voices';
+import { validateScoringContext } from '@/lib/scoring-context';
 
 export async function POST(request) {
   try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
     const body = await request.json();
-    const { url } = body;
+    const { llm, projectId = null, brandVoiceId = null } = body;
+
+    // A URL is checked against the network policy (DNS checks happen at fetch
+    // time); pasted HTML is extracted right away
+    const { source, url, label, extractedContent, error: sourceError, code } = readAnalysisSource(body);
+    if (sourceError) {
+      return NextResponse.json(
+        { error: sourceError, code },
+        { status: 400 }
+      );
+    }
+
+    const llmError = validateLlmConfig(llm);
+    if (llmError) {
+      return NextResponse.json(
+        { error: llmError },
+        { status: 400 }
+      );
+    }
 
-    if (!url) {
+    const { tags, error: tagsError } = validateTags(body.tags ?? []);
+    if (tagsError) {
       return NextResponse.json(
-        { error: 'URL is required' },
+        { error: tagsError },
         { status: 400 }
       );
     }
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch (e) {
+    if (projectId !== null && !(await getProject(projectId, auth.workspaceId))) {
       return NextResponse.json(
-        { error: 'Invalid URL format' },
+        { error: 'Project not found' },
+        { status: 400 }
+      );
+    }
+
+    // Who the page is for and where it sits in the funnel shift both scorers
+    const { context: scoringContext, error: contextError } = validateScoringContext(body);
+    if (contextError) {
+      return NextResponse.json(
+        { error: contextError },
+        { status: 400 }
+      );
+    }
+
+    // Without a brand voice the workspace default applies; "none" opts out
+    if (brandVoiceId !== null && brandVoiceId !== NO_BRAND_VOICE && !(await getBrandVoice(brandVoiceId, auth.workspaceId))) {
+      return NextResponse.json(
+        { error: 'Brand voice not found' },
         { status: 400 }
       );
     }
 
     // Create initial analysis record
-    const analysisId = uuidv4();
+    const initialAnalysis = buildAnalysis(url, {
+      workspaceId: auth.workspaceId,
+      llm: resolveLlmConfig(llm, await getWorkspaceLlm(auth.workspaceId)),
+      tags,
+      projectId,
+      brandVoiceId,
+      scoringContext,
+      source,
+      label,
+      // Pasted copy is not what the URL serves (yet), so it stays out of the
+      // page's history and monitoring
+      ...(extractedContent && { extractedContent, pageId: null }),
+    });
+    const analysisId = initialAnalysis._id;
     const collection = await getCollection('analyses');
 
-    const initialAnalysis = {
-      _id: analysisId,
-      url,
-      status: 'analyzing',
-      createdAt: new Date(),
-      extractedContent: null,
-      scores: null,
-      explanations: null,
-      rewrites: null,
-      error: null,
-      completedAt: null,
-    };
-
     await collection.insertOne(initialAnalysis);
 
-    // Start analysis process (async)
-    processAnalysis(analysisId, url).catch(console.error);
+    // Persist the job before responding so a restart cannot lose it
+    await enqueueAnalysis(analysisId, url);
+    await ensureJobWorker();
 
     return NextResponse.json(
       {
         analysisId,
         status: 'analyzing',
-        message: 'Analysis started. Check status endpoint for progress.',
+        message: 'Analysis queued. Check status endpoint for progress.',
       },
       { status: 202 }
     );
@@ -68,85 +112,23 @@ export async function POST(request) {
   }
 }
 
-async function processAnalysis(analysisId, url) {
-  const collection = await getCollection('analyses');
-
-  try {
-    // Step 1: Scrape website
-    console.log(`[${analysisId}] Scraping ${url}...`);
-    const html = await scrapeWebsite(url);
-
-    // Step 2: Extract content
-    console.log(`[${analysisId}] Extracting content...`);
-    const extractedContent = extractContent(html);
-
-    // Update with extracted content
-    await collection.updateOne(
-      { _id: analysisId },
-      { $set: { extractedContent } }
-    );
-
-    // Step 3: Parallel ML and AI Analysis
-    console.log(`[${analysisId}] Running ML models and AI analysis in parallel...`);
-    const [mlScores, aiAnalysis] = await Promise.all([
-      analyzeMl(extractedContent),
-      analyzeContent(extractedContent)
-    ]);
-
-    // Generate ML predictions
-    const mlPredictions = generateMlPredictions(mlScores);
-
-    // Step 4: Update with complete analysis
-    await collection.updateOne(
-      { _id: analysisId },
-      {
-        $set: {
-          status: 'completed',
-          scores: aiAnalysis.scores,
-          explanations: aiAnalysis.explanations,
-          rewrites: aiAnalysis.rewrites,
-          mlScores: mlScores,
-          mlPredictions: mlPredictions,
-          completedAt: new Date(),
-        },
-      }
-    );
-
-    console.log(`[${analysisId}] Analysis completed successfully`);
-    console.log(`[${analysisId}] ML Score: ${mlScores.overall.mlScore}, AI Score: ${aiAnalysis.scores.overall}`);
-  } catch (error) {
-    console.error(`[${analysisId}] Analysis failed:`, error);
-
-    await collection.updateOne(
-      { _id: analysisId },
-      {
-        $set: {
-          status: 'failed',
-          error: error.message,
-          completedAt: new Date(),
-        },
-      }
-    );
-  }
-}
-
 export async function GET(request) {
   try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
     const { searchParams } = new URL(request.url);
-    const page = parseInt(searchParams.get('page') || '1');
-    const limit = parseInt(searchParams.get('limit') || '10');
-    const skip = (page - 1) * limit;
+    const { filter, sort, page, limit, skip, error } = parseAnalysisQuery(searchParams, auth.workspaceId);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
 
     const collection = await getCollection('analyses');
 
-    const analyses = await collection
-      .find({})
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .toArray();
-
-    const total = await collection.countDocuments({});
+    const [analyses, total] = await Promise.all([
+      collection.find(filter).sort(sort).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(filter),
+    ]);
 
     return NextResponse.json({
       analyses,
@@ -0,0 +1,52 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { getBatchReport } from '@/lib/batches';
+import { exportAnalyses, exportFilename, exportResponse, readExportFormat } from '@/lib/report-export';
+
+/**
+ * Download every completed analysis of a batch as one combined file.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { format, response } = readExportFormat(request);
+    if (response) return response;
+
+    const { id } = params;
+    const batch = await getBatchReport(id, auth.workspaceId);
+
+    if (!batch) {
+      return NextResponse.json(
+        { error: 'Batch not found' },
+        { status: 404 }
+      );
+    }
+
+    const collection = await getCollection('analyses');
+    const analyses = await collection
+      .find({ batchId: id, status: 'completed' })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const name = batch.name || `batch ${id.slice(0, 8)}`;
+    return exportResponse(
+      exportAnalyses(analyses, format, {
+        title: `Batch report: ${name}`,
+        filename: exportFilename(name),
+        summary: batch.scoreSummary,
+        skipped: batch.analyses.filter((item) => item.status !== 'completed'),
+      })
+    );
+  } catch (error) {
+    console.error('Export batch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to export batch', details: error.message },
+      { status: 500 }
+    );
+  }
+}
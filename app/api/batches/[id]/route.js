@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getBatchReport } from '@/lib/batches';
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Batch ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const batch = await getBatchReport(id, auth.workspaceId);
+
+    if (!batch) {
+      return NextResponse.json(
+        { error: 'Batch not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(batch);
+  } catch (error) {
+    console.error('Fetch batch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch batch', details: error.message },
+      { status: 500 }
+    );
+  }
+}
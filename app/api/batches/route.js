@@ -0,0 +1,99 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { createBatch, itemsFromCsv, validateBatchItems, MAX_BATCH_SIZE } from '@/lib/batches';
+import { ensureJobWorker } from '@/lib/worker';
+import { resolveLlmConfig, validateLlmConfig } from '@/lib/llm-providers';
+import { getWorkspaceLlm } from '@/lib/workspaces';
+
+/**
+ * Read batch items from a JSON body (`urls` or `items`), a multipart upload
+ * with a `file` field, or a raw `text/csv` body.
+ */
+async function readBatchRequest(request) {
+  const contentType = request.headers.get('content-type') || '';
+
+  if (contentType.includes('multipart/form-data')) {
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+      return { error: 'A CSV file is required in the "file" field' };
+    }
+    const provider = form.get('provider');
+    return {
+      items: itemsFromCsv(await file.text()),
+      name: form.get('name') || file.name || null,
+      llm: provider ? { provider, model: form.get('model') || null } : undefined,
+    };
+  }
+
+  if (contentType.includes('text/csv')) {
+    return { items: itemsFromCsv(await request.text()), name: null };
+  }
+
+  const body = await request.json();
+  const entries = body.items || body.urls;
+  if (!Array.isArray(entries)) {
+    return { error: 'Provide "urls" (array of strings) or "items" (array of { url, label })' };
+  }
+
+  const items = entries.map((entry) =>
+    typeof entry === 'string' ? { url: entry, label: null } : { url: entry?.url, label: entry?.label }
+  );
+  return { items, name: body.name || null, llm: body.llm };
+}
+
+export async function POST(request) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { items, name, llm, error } = await readBatchRequest(request);
+
+    const requestError = error || validateLlmConfig(llm);
+    if (requestError) {
+      return NextResponse.json({ error: requestError }, { status: 400 });
+    }
+
+    const { accepted, rejected } = validateBatchItems(items);
+
+    if (accepted.length === 0) {
+      return NextResponse.json(
+        { error: 'No valid URLs in batch', rejected },
+        { status: 400 }
+      );
+    }
+
+    if (accepted.length > MAX_BATCH_SIZE) {
+      return NextResponse.json(
+        { error: `Batches are limited to ${MAX_BATCH_SIZE} URLs` },
+        { status: 400 }
+      );
+    }
+
+    const { batchId, analysisIds } = await createBatch(accepted, {
+      workspaceId: auth.workspaceId,
+      name,
+      llm: resolveLlmConfig(llm, await getWorkspaceLlm(auth.workspaceId)),
+    });
+    await ensureJobWorker();
+
+    return NextResponse.json(
+      {
+        batchId,
+        total: analysisIds.length,
+        analysisIds,
+        rejected,
+        message: 'Batch queued. Check the batch endpoint for progress.',
+      },
+      { status: 202 }
+    );
+  } catch (error) {
+    console.error('Batch creation error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create batch', details: error.message },
+      { status: 500 }
+    );
+  }
+}
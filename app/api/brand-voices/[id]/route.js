@@ -0,0 +1,76 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { deleteBrandVoice, getBrandVoice, updateBrandVoice, validateBrandVoiceFields } from '@/lib/brand-voices';
+
+function brandVoiceNotFound() {
+  return NextResponse.json(
+    { error: 'Brand voice not found' },
+    { status: 404 }
+  );
+}
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const brandVoice = await getBrandVoice(params.id, auth.workspaceId);
+    if (!brandVoice) return brandVoiceNotFound();
+
+    return NextResponse.json(brandVoice);
+  } catch (error) {
+    console.error('Fetch brand voice error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch brand voice', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Edit a brand voice. Analyses already run with it keep the version they
+ * were run with.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+    const { fields, error } = validateBrandVoiceFields(body, { partial: true });
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const brandVoice = await updateBrandVoice(params.id, auth.workspaceId, fields);
+    if (!brandVoice) return brandVoiceNotFound();
+
+    return NextResponse.json(brandVoice);
+  } catch (error) {
+    console.error('Update brand voice error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update brand voice', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize(request, 'delete');
+    if (auth.response) return auth.response;
+
+    const deleted = await deleteBrandVoice(params.id, auth.workspaceId);
+    if (!deleted) return brandVoiceNotFound();
+
+    return NextResponse.json({ message: 'Brand voice deleted successfully' });
+  } catch (error) {
+    console.error('Delete brand voice error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete brand voice', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,44 @@
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { createBrandVoice, listBrandVoices, validateBrandVoiceFields } from '@/lib/brand-voices';
+
+export async function GET(request) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    return NextResponse.json({ brandVoices: await listBrandVoices(auth.workspaceId) });
+  } catch (error) {
+    console.error('Fetch brand voices error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch brand voices', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+    const { fields, error } = validateBrandVoiceFields(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const brandVoice = await createBrandVoice(auth.workspaceId, fields, auth.userId);
+
+    return NextResponse.json(brandVoice, { status: 201 });
+  } catch (error) {
+    console.error('Create brand voice error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create brand voice', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,52 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { getCrawlReport } from '@/lib/crawls';
+import { exportAnalyses, exportFilename, exportResponse, readExportFormat } from '@/lib/report-export';
+
+/**
+ * Download every completed page of a crawl as one combined site report.
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { format, response } = readExportFormat(request);
+    if (response) return response;
+
+    const { id } = params;
+    const crawl = await getCrawlReport(id, auth.workspaceId);
+
+    if (!crawl) {
+      return NextResponse.json(
+        { error: 'Crawl not found' },
+        { status: 404 }
+      );
+    }
+
+    const collection = await getCollection('analyses');
+    const analyses = await collection
+      .find({ crawlId: id, status: 'completed' })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const host = new URL(crawl.rootUrl).hostname;
+    return exportResponse(
+      exportAnalyses(analyses, format, {
+        title: `Site report: ${host}`,
+        filename: exportFilename(`${host}-site`),
+        summary: crawl.scoreSummary,
+        skipped: crawl.pages.filter((page) => page.status !== 'completed'),
+      })
+    );
+  } catch (error) {
+    console.error('Export crawl error:', error);
+    return NextResponse.json(
+      { error: 'Failed to export crawl', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCrawlReport } from '@/lib/crawls';
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Crawl ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const crawl = await getCrawlReport(id, auth.workspaceId);
+
+    if (!crawl) {
+      return NextResponse.json(
+        { error: 'Crawl not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(crawl);
+  } catch (error) {
+    console.error('Fetch crawl error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch crawl', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,82 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { createCrawl, CRAWL_LIMITS } from '@/lib/crawls';
+import { ensureJobWorker } from '@/lib/worker';
+import { assertUrlAllowed } from '@/lib/network-policy';
+import { resolveLlmConfig, validateLlmConfig } from '@/lib/llm-providers';
+import { getWorkspaceLlm } from '@/lib/workspaces';
+
+/**
+ * Read an optional integer limit from the request, defaulting to the server
+ * cap and refusing values above it.
+ */
+function readLimit(value, { name, min, max }) {
+  if (value === undefined || value === null) return { value: max };
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    return { error: `"${name}" must be an integer of at least ${min}` };
+  }
+  if (number > max) {
+    return { error: `"${name}" is limited to ${max}` };
+  }
+  return { value: number };
+}
+
+export async function POST(request) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { url, maxDepth, maxPages, llm } = await request.json();
+
+    if (!url) {
+      return NextResponse.json(
+        { error: 'URL is required' },
+        { status: 400 }
+      );
+    }
+
+    let rootUrl;
+    try {
+      rootUrl = assertUrlAllowed(url);
+    } catch (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: 400 }
+      );
+    }
+
+    const depth = readLimit(maxDepth, { name: 'maxDepth', min: 0, max: CRAWL_LIMITS.maxDepth });
+    const pages = readLimit(maxPages, { name: 'maxPages', min: 1, max: CRAWL_LIMITS.maxPages });
+    const requestError = depth.error || pages.error || validateLlmConfig(llm);
+    if (requestError) {
+      return NextResponse.json({ error: requestError }, { status: 400 });
+    }
+
+    const crawlId = await createCrawl(rootUrl.toString(), {
+      workspaceId: auth.workspaceId,
+      maxDepth: depth.value,
+      maxPages: pages.value,
+      llm: resolveLlmConfig(llm, await getWorkspaceLlm(auth.workspaceId)),
+    });
+    await ensureJobWorker();
+
+    return NextResponse.json(
+      {
+        crawlId,
+        status: 'discovering',
+        message: 'Crawl queued. Check the crawl endpoint for progress.',
+      },
+      { status: 202 }
+    );
+  } catch (error) {
+    console.error('Crawl creation error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create crawl', details: error.message },
+      { status: 500 }
+    );
+  }
+}
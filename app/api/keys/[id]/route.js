@@ -0,0 +1,29 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize, revokeApiKey } from '@/lib/auth';
+
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    const revoked = await revokeApiKey(id, auth.workspaceId);
+
+    if (!revoked) {
+      return NextResponse.json(
+        { error: 'API key not found or already revoked' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke API key', details: error.message },
+      { status: 500 }
+    );
+  }
+}
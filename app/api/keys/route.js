@@ -0,0 +1,70 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize, createApiKey, publicApiKey, validateScopes } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+
+export async function GET(request) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const collection = await getCollection('api_keys');
+    const keys = await collection
+      .find({ type: 'api', workspaceId: auth.workspaceId })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    return NextResponse.json({ keys: keys.map(publicApiKey) });
+  } catch (error) {
+    console.error('Fetch API keys error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch API keys', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+function readRateLimit(rateLimit) {
+  if (rateLimit === undefined || rateLimit === null) return { rateLimit: null };
+
+  const capacity = Number(rateLimit.capacity);
+  const refillPerMinute = Number(rateLimit.refillPerMinute);
+  if (!(capacity > 0) || !(refillPerMinute > 0)) {
+    return { error: '"rateLimit" needs positive "capacity" and "refillPerMinute"' };
+  }
+  return { rateLimit: { capacity, refillPerMinute } };
+}
+
+export async function POST(request) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+    const { scopes, error: scopeError } = validateScopes(body.scopes);
+    const { rateLimit, error: rateLimitError } = readRateLimit(body.rateLimit);
+
+    const requestError = (!body.name && '"name" is required') || scopeError || rateLimitError;
+    if (requestError) {
+      return NextResponse.json({ error: requestError }, { status: 400 });
+    }
+
+    const { key, token } = await createApiKey({
+      name: String(body.name),
+      scopes,
+      rateLimit,
+      workspaceId: auth.workspaceId,
+      userId: auth.userId,
+    });
+
+    // The token is shown once; only its hash is stored
+    return NextResponse.json({ ...publicApiKey(key), token }, { status: 201 });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create API key', details: error.message },
+      { status: 500 }
+    );
+  }
+}
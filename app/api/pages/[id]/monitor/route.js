@@ -0,0 +1,63 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { validateMonitorConfig, enableMonitor, disableMonitor } from '@/lib/monitors';
+import { ensureJobWorker } from '@/lib/worker';
+
+export async function PUT(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    const body = await request.json();
+
+    const { monitor, error } = validateMonitorConfig(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const page = await enableMonitor(id, auth.workspaceId, monitor);
+    if (!page) {
+      return NextResponse.json(
+        { error: 'Page not found' },
+        { status: 404 }
+      );
+    }
+    await ensureJobWorker();
+
+    return NextResponse.json({ pageId: page._id, monitor: page.monitor });
+  } catch (error) {
+    console.error('Update monitor error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update monitor', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+
+    const found = await disableMonitor(id, auth.workspaceId);
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Page not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Monitoring disabled' });
+  } catch (error) {
+    console.error('Disable monitor error:', error);
+    return NextResponse.json(
+      { error: 'Failed to disable monitor', details: error.message },
+      { status: 500 }
+    );
+  }
+}
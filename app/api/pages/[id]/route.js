@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getPageTimeline } from '@/lib/pages';
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Page ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const page = await getPageTimeline(id, auth.workspaceId);
+
+    if (!page) {
+      return NextResponse.json(
+        { error: 'Page not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(page);
+  } catch (error) {
+    console.error('Fetch page error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch page', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,45 @@
+export const dynamic = "force-dynamic";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+
+export async function GET(request) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get('page') || '1');
+    const limit = parseInt(searchParams.get('limit') || '10');
+    const skip = (page - 1) * limit;
+
+    const collection = await getCollection('pages');
+    const filter = { workspaceId: auth.workspaceId };
+
+    const pages = await collection
+      .find(filter)
+      .sort({ lastAnalyzedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await collection.countDocuments(filter);
+
+    return NextResponse.json({
+      pages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Fetch pages error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch pages', details: error.message },
+      { status: 500 }
+    );
+  }
+}
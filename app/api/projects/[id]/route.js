@@ -0,0 +1,75 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { deleteProject, getProject, updateProject, validateProjectFields } from '@/lib/projects';
+
+function projectNotFound() {
+  return NextResponse.json(
+    { error: 'Project not found' },
+    { status: 404 }
+  );
+}
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const project = await getProject(params.id, auth.workspaceId);
+    if (!project) return projectNotFound();
+
+    return NextResponse.json(project);
+  } catch (error) {
+    console.error('Fetch project error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch project', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+    const { fields, error } = validateProjectFields(body, { partial: true });
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const project = await updateProject(params.id, auth.workspaceId, fields);
+    if (!project) return projectNotFound();
+
+    return NextResponse.json(project);
+  } catch (error) {
+    console.error('Update project error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update project', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a project. Its analyses are kept and become unassigned.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize(request, 'delete');
+    if (auth.response) return auth.response;
+
+    const deleted = await deleteProject(params.id, auth.workspaceId);
+    if (!deleted) return projectNotFound();
+
+    return NextResponse.json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete project', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,44 @@
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { createProject, listProjects, validateProjectFields } from '@/lib/projects';
+
+export async function GET(request) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    return NextResponse.json({ projects: await listProjects(auth.workspaceId) });
+  } catch (error) {
+    console.error('Fetch projects error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch projects', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const auth = await authorize(request, 'analyze');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+    const { fields, error } = validateProjectFields(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const project = await createProject(auth.workspaceId, fields, auth.userId);
+
+    return NextResponse.json({ ...project, analysisCount: 0 }, { status: 201 });
+  } catch (error) {
+    console.error('Create project error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create project', details: error.message },
+      { status: 500 }
+    );
+  }
+}
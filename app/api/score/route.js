@@ -0,0 +1,84 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { scoreCopy } from '@/lib/dl-analyzer';
+import { SECTIONS } from '@/lib/analysis-summary';
+import { validateScoringContext } from '@/lib/scoring-context';
+
+const MAX_TEXT_LENGTH = 2000;
+
+// Only the CTA scorer takes a list (a page can have several CTAs)
+function readCopy(value, name, section) {
+  if (section === 'cta') {
+    const valid =
+      typeof value === 'string' ||
+      (Array.isArray(value) && value.length > 0 && value.every((entry) => typeof entry === 'string'));
+    if (!valid) return { error: `"${name}" must be a string or a non-empty array of strings` };
+  } else if (typeof value !== 'string') {
+    return { error: `"${name}" must be a string` };
+  }
+  if ([value].flat().join(' ').length > MAX_TEXT_LENGTH) {
+    return { error: `"${name}" must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+  return { value };
+}
+
+/**
+ * Boolean features that differ between two scorings, e.g. a number added to
+ * a headline turns `hasNumber` on.
+ */
+function flippedFeatures(before, after) {
+  return Object.keys(after.features || {})
+    .filter((feature) => typeof after.features[feature] === 'boolean')
+    .filter((feature) => before.features?.[feature] !== after.features[feature])
+    .map((feature) => ({ feature, before: before.features?.[feature] ?? null, after: after.features[feature] }));
+}
+
+/**
+ * Score copy for one section with the rule-based ML models, without storing
+ * anything. Meant for live editing: `{ section, text, baseline?, context? }`,
+ * where `baseline` (e.g. the original copy) is scored too and compared, and
+ * `context` is an analysis's `scoringContext` so the weights match its report.
+ */
+export async function POST(request) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+    if (!SECTIONS.includes(body.section)) {
+      return NextResponse.json(
+        { error: `"section" must be one of: ${SECTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const text = readCopy(body.text, 'text', body.section);
+    const baselineText =
+      body.baseline === undefined || body.baseline === null
+        ? { value: null }
+        : readCopy(body.baseline, 'baseline', body.section);
+    const { context, error: contextError } = validateScoringContext(body.context ?? {});
+    if (text.error || baselineText.error || contextError) {
+      return NextResponse.json({ error: text.error || baselineText.error || contextError }, { status: 400 });
+    }
+
+    const scores = await scoreCopy(body.section, text.value, context);
+    const baseline = baselineText.value === null ? null : await scoreCopy(body.section, baselineText.value, context);
+
+    return NextResponse.json({
+      section: body.section,
+      scores,
+      baseline,
+      delta: baseline ? scores.mlScore - baseline.mlScore : null,
+      flipped: baseline ? flippedFeatures(baseline, scores) : [],
+    });
+  } catch (error) {
+    console.error('Score copy error:', error);
+    return NextResponse.json(
+      { error: 'Failed to score copy', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,158 @@
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE, createSession, findApiKey, revokeApiKey } from '@/lib/auth';
+import { takeToken } from '@/lib/rate-limit';
+import { authenticateUser, findUserById, normalizeEmail, publicUser } from '@/lib/users';
+import { getMembership, listUserWorkspaces, ROLE_SCOPES } from '@/lib/workspaces';
+
+async function currentSession(request) {
+  const key = await findApiKey(request.cookies.get(SESSION_COOKIE)?.value);
+  return key?.type === 'session' ? key : null;
+}
+
+function notSignedIn() {
+  return NextResponse.json({ error: 'Not signed in', code: 'UNAUTHORIZED' }, { status: 401 });
+}
+
+/**
+ * The signed-in user, their active workspace and role, and every workspace
+ * they can switch to.
+ */
+async function describeSession(key) {
+  const user = await findUserById(key.userId);
+  const workspaces = await listUserWorkspaces(key.userId);
+  const workspace = workspaces.find((w) => w._id === key.workspaceId) || null;
+
+  return {
+    user: user ? publicUser(user) : null,
+    workspace,
+    role: workspace?.role ?? null,
+    scopes: workspace ? ROLE_SCOPES[workspace.role] : [],
+    workspaces,
+    expiresAt: key.expiresAt,
+  };
+}
+
+function withSessionCookie(response, key, token) {
+  response.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    expires: key.expiresAt,
+  });
+  return response;
+}
+
+/**
+ * Current dashboard session, or 401 when signed out.
+ */
+export async function GET(request) {
+  try {
+    const key = await currentSession(request);
+    if (!key) return notSignedIn();
+
+    return NextResponse.json(await describeSession(key));
+  } catch (error) {
+    console.error('Fetch session error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch session', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Sign in with email and password. Opens `workspaceId` if given, otherwise
+ * the user's first workspace. Issues a session-type API key and stores it in
+ * an httpOnly cookie.
+ */
+export async function POST(request) {
+  try {
+    const { email, password, workspaceId } = await request.json();
+
+    // Slow down password guessing per account. X-Forwarded-For is set by the
+    // client, so it cannot be what the limit hangs on.
+    const limit = takeToken(`login:${normalizeEmail(email)}`, { capacity: 5, refillPerMinute: 5 });
+    if (!limit.allowed) {
+      return NextResponse.json(
+        { error: 'Too many sign-in attempts', code: 'RATE_LIMITED' },
+        { status: 429, headers: { 'Retry-After': String(limit.retryAfterSeconds) } }
+      );
+    }
+
+    const user = await authenticateUser(email, password);
+    if (!user) {
+      return NextResponse.json({ error: 'Incorrect email or password', code: 'UNAUTHORIZED' }, { status: 401 });
+    }
+
+    const workspaces = await listUserWorkspaces(user._id);
+    const workspace = workspaceId ? workspaces.find((w) => w._id === workspaceId) : workspaces[0];
+    if (!workspace) {
+      return NextResponse.json(
+        { error: 'You are not a member of this workspace', code: 'NO_WORKSPACE' },
+        { status: 403 }
+      );
+    }
+
+    const { key, token } = await createSession(user._id, workspace._id);
+    return withSessionCookie(NextResponse.json(await describeSession(key)), key, token);
+  } catch (error) {
+    console.error('Sign-in error:', error);
+    return NextResponse.json(
+      { error: 'Failed to sign in', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Switch the session to another workspace the user belongs to. The old
+ * session is revoked and a new cookie issued.
+ */
+export async function PUT(request) {
+  try {
+    const key = await currentSession(request);
+    if (!key) return notSignedIn();
+
+    const { workspaceId } = await request.json();
+    const membership = await getMembership(workspaceId, key.userId);
+    if (!membership) {
+      return NextResponse.json(
+        { error: 'You are not a member of this workspace', code: 'NO_WORKSPACE' },
+        { status: 403 }
+      );
+    }
+
+    await revokeApiKey(key._id, key.workspaceId);
+    const session = await createSession(key.userId, workspaceId);
+    return withSessionCookie(NextResponse.json(await describeSession(session.key)), session.key, session.token);
+  } catch (error) {
+    console.error('Switch workspace error:', error);
+    return NextResponse.json(
+      { error: 'Failed to switch workspace', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const key = await currentSession(request);
+    if (key) {
+      await revokeApiKey(key._id, key.workspaceId);
+    }
+
+    const response = NextResponse.json({ message: 'Signed out' });
+    response.cookies.delete(SESSION_COOKIE);
+    return response;
+  } catch (error) {
+    console.error('Sign-out error:', error);
+    return NextResponse.json(
+      { error: 'Failed to sign out', details: error.message },
+      { status: 500 }
+    );
+  }
+}
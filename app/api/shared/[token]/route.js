@@ -0,0 +1,31 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { resolveShare } from '@/lib/shares';
+
+/**
+ * Public, read-only view of a shared analysis. The share token is the only
+ * credential; unknown, revoked and expired tokens all get 404.
+ */
+export async function GET(request, { params }) {
+  try {
+    const shared = await resolveShare(params.token);
+
+    if (!shared) {
+      return NextResponse.json(
+        { error: 'Share link not found or expired' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(shared.analysis, {
+      headers: { 'Cache-Control': 'private, no-store', 'X-Robots-Tag': 'noindex' },
+    });
+  } catch (error) {
+    console.error('Fetch shared analysis error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch shared analysis', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,21 @@
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { listTags } from '@/lib/tags';
+
+export async function GET(request) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    return NextResponse.json({ tags: await listTags(auth.workspaceId) });
+  } catch (error) {
+    console.error('Fetch tags error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch tags', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,57 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import { countUsers, createUser, publicUser, validateUserFields } from '@/lib/users';
+import { backfillWorkspaces, createWorkspace } from '@/lib/workspaces';
+
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === 'true';
+
+/**
+ * Register a user with a personal workspace they own. Open for the very
+ * first user and when ALLOW_SIGNUP=true; otherwise only ADMIN_API_KEY may
+ * create users.
+ */
+export async function POST(request) {
+  try {
+    const firstUser = (await countUsers()) === 0;
+
+    if (!ALLOW_SIGNUP && !firstUser) {
+      const auth = await authenticate(request);
+      if (auth.response) return auth.response;
+      if (auth.key.type !== 'admin') {
+        return NextResponse.json(
+          { error: 'Sign-up is closed. Ask a workspace owner to invite you.', code: 'FORBIDDEN' },
+          { status: 403 }
+        );
+      }
+    }
+
+    const body = await request.json();
+    const { fields, error } = validateUserFields(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const user = await createUser(fields);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'A user with this email already exists' },
+        { status: 409 }
+      );
+    }
+
+    const workspace = await createWorkspace(body.workspaceName || `${fields.name || fields.email}'s workspace`, user._id);
+
+    // Data from before sign-up existed goes to the first workspace
+    if (firstUser) await backfillWorkspaces();
+
+    return NextResponse.json({ user: publicUser(user), workspace }, { status: 201 });
+  } catch (error) {
+    console.error('Create user error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create user', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get('page') || '1');
+    const limit = parseInt(searchParams.get('limit') || '20');
+    const skip = (page - 1) * limit;
+
+    const webhooks = await getCollection('webhooks');
+    const webhook = await webhooks.findOne({ _id: id, workspaceId: auth.workspaceId }, { projection: { _id: 1 } });
+
+    if (!webhook) {
+      return NextResponse.json(
+        { error: 'Webhook not found' },
+        { status: 404 }
+      );
+    }
+
+    const collection = await getCollection('webhook_deliveries');
+
+    const deliveries = await collection
+      .find({ webhookId: id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await collection.countDocuments({ webhookId: id });
+
+    return NextResponse.json({
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Fetch webhook deliveries error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch webhook deliveries', details: error.message },
+      { status: 500 }
+    );
+  }
+}
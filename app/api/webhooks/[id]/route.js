@@ -0,0 +1,101 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { generateWebhookSecret, publicWebhook, validateWebhookFields } from '@/lib/webhooks';
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+
+    const collection = await getCollection('webhooks');
+    const webhook = await collection.findOne({ _id: id, workspaceId: auth.workspaceId });
+
+    if (!webhook) {
+      return NextResponse.json(
+        { error: 'Webhook not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(publicWebhook(webhook));
+  } catch (error) {
+    console.error('Fetch webhook error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch webhook', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    const body = await request.json();
+
+    const { fields, error, code } = validateWebhookFields(body, { partial: true });
+    if (error) {
+      return NextResponse.json({ error, code }, { status: 400 });
+    }
+
+    if (body.rotateSecret) {
+      fields.secret = generateWebhookSecret();
+    }
+
+    const collection = await getCollection('webhooks');
+    const webhook = await collection.findOneAndUpdate(
+      { _id: id, workspaceId: auth.workspaceId },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!webhook) {
+      return NextResponse.json(
+        { error: 'Webhook not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(body.rotateSecret ? webhook : publicWebhook(webhook));
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update webhook', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+
+    const collection = await getCollection('webhooks');
+    const result = await collection.deleteOne({ _id: id, workspaceId: auth.workspaceId });
+
+    if (result.deletedCount === 0) {
+      return NextResponse.json(
+        { error: 'Webhook not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete webhook', details: error.message },
+      { status: 500 }
+    );
+  }
+}
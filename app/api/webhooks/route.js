@@ -0,0 +1,49 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getCollection } from '@/lib/db';
+import { createWebhook, publicWebhook, validateWebhookFields } from '@/lib/webhooks';
+
+export async function GET(request) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const collection = await getCollection('webhooks');
+    const webhooks = await collection.find({ workspaceId: auth.workspaceId }).sort({ createdAt: -1 }).toArray();
+
+    return NextResponse.json({ webhooks: webhooks.map(publicWebhook) });
+  } catch (error) {
+    console.error('Fetch webhooks error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch webhooks', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const body = await request.json();
+
+    const { fields, error, code } = validateWebhookFields(body);
+    if (error) {
+      return NextResponse.json({ error, code }, { status: 400 });
+    }
+
+    const webhook = await createWebhook(fields, auth.workspaceId);
+
+    // The only response that includes the full secret
+    return NextResponse.json(webhook, { status: 201 });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create webhook', details: error.message },
+      { status: 500 }
+    );
+  }
+}
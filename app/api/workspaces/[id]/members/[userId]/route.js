@@ -0,0 +1,67 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getMembership, removeMember, setMemberRole, WORKSPACE_ROLES } from '@/lib/workspaces';
+
+function memberNotFound() {
+  return NextResponse.json(
+    { error: 'Member not found' },
+    { status: 404 }
+  );
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id, userId } = params;
+    if (id !== auth.workspaceId || !(await getMembership(id, userId))) return memberNotFound();
+
+    const { role } = await request.json();
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return NextResponse.json(
+        { error: `"role" must be one of: ${WORKSPACE_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const result = await setMemberRole(id, userId, role);
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 409 });
+    }
+
+    return NextResponse.json({ userId, role });
+  } catch (error) {
+    console.error('Update member error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update member', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id, userId } = params;
+    if (id !== auth.workspaceId) return memberNotFound();
+
+    const result = await removeMember(id, userId);
+    if (result.notFound) return memberNotFound();
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 409 });
+    }
+
+    return NextResponse.json({ message: 'Member removed' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    return NextResponse.json(
+      { error: 'Failed to remove member', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,80 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { findUserByEmail } from '@/lib/users';
+import { listMembers, setMemberRole, WORKSPACE_ROLES } from '@/lib/workspaces';
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    if (id !== auth.workspaceId) {
+      return NextResponse.json(
+        { error: 'Workspace not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ members: await listMembers(id) });
+  } catch (error) {
+    console.error('Fetch members error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch members', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Add a registered user to the workspace by email, or change their role if
+ * they are already a member. Owners only.
+ */
+export async function POST(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    if (id !== auth.workspaceId) {
+      return NextResponse.json(
+        { error: 'Workspace not found' },
+        { status: 404 }
+      );
+    }
+
+    const { email, role = 'viewer' } = await request.json();
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return NextResponse.json(
+        { error: `"role" must be one of: ${WORKSPACE_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const user = await findUserByEmail(email);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'No user with this email. They need to sign up first.' },
+        { status: 404 }
+      );
+    }
+
+    const result = await setMemberRole(id, user._id, role);
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 409 });
+    }
+
+    return NextResponse.json(
+      { userId: user._id, email: user.email, name: user.name, role },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Add member error:', error);
+    return NextResponse.json(
+      { error: 'Failed to add member', details: error.message },
+      { status: 500 }
+    );
+  }
+}
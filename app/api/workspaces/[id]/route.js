@@ -0,0 +1,97 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authorize } from '@/lib/auth';
+import { getWorkspace, updateWorkspace, validateWorkspaceName } from '@/lib/workspaces';
+import { getBrandVoice } from '@/lib/brand-voices';
+import { validateLlmConfig } from '@/lib/llm-providers';
+
+function workspaceNotFound() {
+  return NextResponse.json(
+    { error: 'Workspace not found' },
+    { status: 404 }
+  );
+}
+
+export async function GET(request, { params }) {
+  try {
+    const auth = await authorize(request, 'read');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    if (id !== auth.workspaceId) return workspaceNotFound();
+
+    const workspace = await getWorkspace(id);
+    if (!workspace) return workspaceNotFound();
+
+    return NextResponse.json({ ...workspace, role: auth.role });
+  } catch (error) {
+    console.error('Fetch workspace error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch workspace', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Rename the workspace, set its default brand voice (`defaultBrandVoiceId`,
+ * or null for none) and/or its default `llm` (or null for the environment
+ * default).
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authorize(request, 'admin');
+    if (auth.response) return auth.response;
+
+    const { id } = params;
+    if (id !== auth.workspaceId) return workspaceNotFound();
+
+    const body = await request.json();
+    const update = {};
+
+    if (body.name !== undefined) {
+      const { name, error } = validateWorkspaceName(body.name);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      update.name = name;
+    }
+
+    if (body.defaultBrandVoiceId !== undefined) {
+      if (body.defaultBrandVoiceId !== null && !(await getBrandVoice(body.defaultBrandVoiceId, id))) {
+        return NextResponse.json(
+          { error: 'Brand voice not found' },
+          { status: 400 }
+        );
+      }
+      update.defaultBrandVoiceId = body.defaultBrandVoiceId;
+    }
+
+    if (body.llm !== undefined) {
+      const llmError = validateLlmConfig(body.llm);
+      if (llmError) {
+        return NextResponse.json({ error: llmError }, { status: 400 });
+      }
+      update.llm = body.llm ? { provider: body.llm.provider || null, model: body.llm.model || null } : null;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return NextResponse.json(
+        { error: 'Nothing to update: send "name", "defaultBrandVoiceId" and/or "llm"' },
+        { status: 400 }
+      );
+    }
+
+    const workspace = await updateWorkspace(id, update);
+    if (!workspace) return workspaceNotFound();
+
+    return NextResponse.json(workspace);
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update workspace', details: error.message },
+      { status: 500 }
+    );
+  }
+}
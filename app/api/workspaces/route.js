@@ -0,0 +1,67 @@
+export const runtime = "nodejs";
+
+import { NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth';
+import { createWorkspace, getWorkspace, listUserWorkspaces, listWorkspaces, validateWorkspaceName } from '@/lib/workspaces';
+
+/**
+ * Workspaces the caller can act in: a user's memberships, an API key's own
+ * workspace, or every workspace for ADMIN_API_KEY.
+ */
+export async function GET(request) {
+  try {
+    const { key, response } = await authenticate(request);
+    if (response) return response;
+
+    let workspaces;
+    if (key.type === 'admin') {
+      workspaces = await listWorkspaces();
+    } else if (key.type === 'session') {
+      workspaces = await listUserWorkspaces(key.userId);
+    } else {
+      const workspace = await getWorkspace(key.workspaceId);
+      workspaces = workspace ? [workspace] : [];
+    }
+
+    return NextResponse.json({ workspaces });
+  } catch (error) {
+    console.error('Fetch workspaces error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch workspaces', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Create a workspace owned by the signed-in user.
+ */
+export async function POST(request) {
+  try {
+    const { key, response } = await authenticate(request);
+    if (response) return response;
+
+    if (key.type !== 'session') {
+      return NextResponse.json(
+        { error: 'Sign in to create a workspace', code: 'FORBIDDEN' },
+        { status: 403 }
+      );
+    }
+
+    const body = await request.json();
+    const { name, error } = validateWorkspaceName(body.name);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const workspace = await createWorkspace(name, key.userId);
+
+    return NextResponse.json({ ...workspace, role: 'owner' }, { status: 201 });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create workspace', details: error.message },
+      { status: 500 }
+    );
+  }
+}
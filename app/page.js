@@ -1,14 +1,32 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { Progress } from '@/components/ui/progress';
-import { Separator } from '@/components/ui/separator';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '@/components/ui/pagination';
+import { analysisName } from '@/lib/analysis-name';
+import { AUDIENCES, FUNNEL_STAGES, PAGE_TYPES } from '@/lib/scoring-context';
+import { AnalysisReport, SECTION_LABELS, SectionScore, getScoreBgColor, getScoreColor } from '@/components/analysis-report';
+import { ChartContainer, ChartTooltip, ChartTooltipContent, ChartLegend, ChartLegendContent } from '@/components/ui/chart';
+import { CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts';
 import { 
   Sparkles, 
   BarChart3, 
@@ -17,31 +35,1712 @@ import {
   Loader2, 
   CheckCircle2, 
   XCircle,
-  Copy,
   ExternalLink,
   Trash2,
-  RefreshCw
+  RefreshCw,
+  Circle,
+  AlertTriangle,
+  GitCompare,
+  History,
+  Lock,
+  LogOut,
+  Users,
+  Download,
+  Share2,
+  Copy,
+  Tag,
+  FolderOpen,
+  MessageSquare,
+  Plus,
+  X,
+  Link2,
+  FileCode,
+  PenLine,
+  Megaphone,
+  Target
 } from 'lucide-react';
 
+const ANALYSIS_STEPS = [
+  { stage: 'queued', label: 'Queued' },
+  { stage: 'scraping', label: 'Scraping page' },
+  { stage: 'extracting', label: 'Extracting content' },
+  { stage: 'ml_scoring', label: 'ML scoring' },
+  { stage: 'ai_scoring', label: 'AI scoring' },
+  { stage: 'completed', label: 'Completed' },
+];
+
+// What the analyze form submits: a URL to fetch, pasted HTML or copy typed in
+const INPUT_MODES = [
+  { value: 'url', label: 'URL', icon: Link2 },
+  { value: 'html', label: 'HTML', icon: FileCode },
+  { value: 'content', label: 'Copy', icon: PenLine },
+];
+
+const EMPTY_CONTENT = { headline: '', subheadline: '', cta: '', bodyCopy: '' };
+
+// 'any' stands for "not set" since select items cannot have empty values
+const EMPTY_SCORING_CONTEXT = { audience: 'any', industry: '', pageType: 'any', funnelStage: 'any' };
+
+const SCORING_CONTEXT_SELECTS = [
+  { field: 'audience', placeholder: 'Any audience', options: AUDIENCES },
+  { field: 'pageType', placeholder: 'Any page type', options: PAGE_TYPES },
+  { field: 'funnelStage', placeholder: 'Funnel stage from page type', options: FUNNEL_STAGES },
+];
+
+// Network policy refusals (see lib/network-policy.js)
+const BLOCKED_ERROR_CODES = [
+  'PRIVATE_ADDRESS',
+  'DOMAIN_DENIED',
+  'DOMAIN_NOT_ALLOWED',
+  'PORT_NOT_ALLOWED',
+  'URL_BLOCKED',
+  'RESPONSE_TOO_LARGE',
+  'UNSUPPORTED_CONTENT_TYPE',
+  'TOO_MANY_REDIRECTS',
+];
+
+function AnalysisStepper({ progress }) {
+  const currentIndex = ANALYSIS_STEPS.findIndex((step) => step.stage === progress?.stage);
+
+  return (
+    <div className="w-full max-w-sm space-y-3">
+      {ANALYSIS_STEPS.map((step, idx) => {
+        const done = idx < currentIndex || progress?.stage === 'completed';
+        const active = idx === currentIndex && !done;
+        return (
+          <div key={step.stage} className="flex items-center gap-3">
+            {done ? (
+              <CheckCircle2 className="h-5 w-5 text-green-500" />
+            ) : active ? (
+              <Loader2 className="h-5 w-5 animate-spin text-primary" />
+            ) : (
+              <Circle className="h-5 w-5 text-muted-foreground/40" />
+            )}
+            <span className={`text-sm ${active ? 'font-semibold' : done ? '' : 'text-muted-foreground'}`}>
+              {step.label}
+            </span>
+          </div>
+        );
+      })}
+      {progress?.attempts > 0 && progress?.lastError && (
+        <p className="text-xs text-muted-foreground pt-2">
+          Attempt {progress.attempts} failed ({progress.lastError}). Retrying...
+        </p>
+      )}
+    </div>
+  );
+}
+
+function ScoreDelta({ value, label }) {
+  if (typeof value !== 'number') return null;
+
+  const color =
+    value > 0 ? 'bg-green-100 text-green-700' : value < 0 ? 'bg-red-100 text-red-700' : 'bg-muted text-muted-foreground';
+
+  return (
+    <Badge variant="outline" className={`border-transparent ${color}`}>
+      {label && `${label} `}{value > 0 ? `+${value}` : value}
+    </Badge>
+  );
+}
+
+const SCORE_DEBOUNCE_MS = 400;
+
+// Rule-based ML features (lib/dl-analyzer.js) shown in the rewrite editor
+const FEATURE_LABELS = {
+  hasNumber: 'Uses a number',
+  hasActionVerb: 'Action verb',
+  hasQuestion: 'Asks a question',
+  hasEmotionalWords: 'Emotional words',
+  hasNegation: 'Names a pain point (no, never, without)',
+  optimalLength: '6-12 words',
+  startsWithVerb: 'Starts with a verb',
+  hasUrgency: 'Urgency (now, today)',
+  hasFreeOffer: 'Free offer',
+  isShort: '1-4 words',
+};
+
+const METRIC_LABELS = {
+  readability: 'Readability',
+  specificity: 'Specificity',
+  persuasiveness: 'Persuasiveness',
+  actionability: 'Actionability',
+  clarity: 'Clarity',
+  urgency: 'Urgency',
+};
+
+/**
+ * Edit a rewrite (or write one from scratch) and re-score it with the
+ * rule-based ML models as you type, against the page's original copy.
+ * `context` is the analysis's scoring context, so scores match its report.
+ */
+function RewriteEditor({ target, original, context, apiFetch, onClose }) {
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  const [scoring, setScoring] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!target) return;
+    setText(target.text);
+    setResult(null);
+    setError('');
+  }, [target]);
+
+  useEffect(() => {
+    if (!target || !text.trim()) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setScoring(true);
+      try {
+        const response = await apiFetch('/api/score', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ section: target.section, text, baseline: original, context }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to score copy');
+        if (!cancelled) {
+          setResult(data);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setScoring(false);
+      }
+    }, SCORE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text, target]);
+
+  const flipped = new Map((result?.flipped || []).map(({ feature, after }) => [feature, after]));
+  const features = Object.entries(result?.scores.features || {}).filter(([feature]) => FEATURE_LABELS[feature]);
+  const metrics = Object.keys(METRIC_LABELS).filter((metric) => typeof result?.scores[metric] === 'number');
+
+  return (
+    <Dialog open={Boolean(target)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Edit {SECTION_LABELS[target?.section] || 'copy'}</DialogTitle>
+          <DialogDescription>
+            Scores update as you type, using the rule-based ML models. The AI score is only computed by a full analysis.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="relative">
+            <Textarea value={text} onChange={(e) => setText(e.target.value)} rows={target?.section === 'bodyCopy' ? 6 : 3} />
+            <Button
+              variant="ghost"
+              size="icon"
+              className="absolute top-1 right-1 h-6 w-6"
+              onClick={() => navigator.clipboard.writeText(text)}
+            >
+              <Copy className="h-3 w-3" />
+            </Button>
+          </div>
+
+          {result && (
+            <div className={`space-y-4 transition-opacity ${scoring ? 'opacity-60' : ''}`}>
+              <div className="flex items-center gap-4">
+                <div className="text-center">
+                  <div className={`text-4xl font-bold ${getScoreColor(result.scores.mlScore)}`}>{result.scores.mlScore}</div>
+                  <div className="text-xs text-muted-foreground mt-1">ML Score</div>
+                </div>
+                <div className="space-y-1">
+                  <ScoreDelta value={result.delta} label="vs original" />
+                  <p className="text-sm text-muted-foreground">{result.scores.prediction}</p>
+                </div>
+                {scoring && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground ml-auto" />}
+              </div>
+
+              {metrics.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {metrics.map((metric) => (
+                    <Badge key={metric} variant="secondary">
+                      {METRIC_LABELS[metric]} {result.scores[metric]}/10
+                    </Badge>
+                  ))}
+                </div>
+              )}
+
+              {features.length > 0 && (
+                <div className="grid grid-cols-2 gap-2">
+                  {features.map(([feature, on]) => (
+                    <div key={feature} className="flex items-center gap-2 text-sm">
+                      {on ? (
+                        <CheckCircle2 className="h-4 w-4 text-green-500" />
+                      ) : (
+                        <Circle className="h-4 w-4 text-muted-foreground" />
+                      )}
+                      <span className={on ? '' : 'text-muted-foreground'}>{FEATURE_LABELS[feature]}</span>
+                      {flipped.has(feature) && (
+                        <Badge
+                          variant="outline"
+                          className={`border-transparent ${on ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}
+                        >
+                          {on ? 'now on' : 'now off'}
+                        </Badge>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {error && (
+            <Alert variant="destructive">
+              <XCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+const REWRITE_VARIANT_OPTIONS = ['1', '2', '3', '4', '5'];
+
+const EMPTY_REWRITE_CONSTRAINTS = { variants: '3', maxChars: '', tone: '', mustInclude: '', forbiddenWords: '' };
+
+function splitTerms(value) {
+  return value.split(',').map((term) => term.trim()).filter(Boolean);
+}
+
+/**
+ * Ask the AI for more rewrites of one section under constraints. New
+ * rewrites are added to the existing ones; `onRegenerated` gets the
+ * section's updated `{ rewrites, rewriteScores }` and the generation.
+ */
+function RegenerateRewritesDialog({ target, analysisId, apiFetch, onClose, onRegenerated }) {
+  const [form, setForm] = useState(EMPTY_REWRITE_CONSTRAINTS);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!target) return;
+    setForm(EMPTY_REWRITE_CONSTRAINTS);
+    setError('');
+  }, [target]);
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setError('');
+    try {
+      const response = await apiFetch(`/api/analyses/${analysisId}/rewrites/${target.section}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          variants: parseInt(form.variants),
+          maxChars: form.maxChars ? parseInt(form.maxChars) : null,
+          tone: form.tone || null,
+          mustInclude: splitTerms(form.mustInclude),
+          forbiddenWords: splitTerms(form.forbiddenWords),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to regenerate rewrites');
+      onRegenerated(target.section, data);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(target)} onOpenChange={(open) => !open && !generating && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>More {SECTION_LABELS[target?.section] || 'copy'} rewrites</DialogTitle>
+          <DialogDescription>
+            New rewrites are added to the current suggestions and ranked with them. Every field is optional.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label>Variants</Label>
+              <Select value={form.variants} onValueChange={(variants) => setForm((current) => ({ ...current, variants }))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {REWRITE_VARIANT_OPTIONS.map((value) => (
+                    <SelectItem key={value} value={value}>
+                      {value}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="rewrite-max-chars">Max characters</Label>
+              <Input
+                id="rewrite-max-chars"
+                type="number"
+                min={10}
+                placeholder="No limit"
+                value={form.maxChars}
+                onChange={setField('maxChars')}
+              />
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="rewrite-tone">Tone</Label>
+            <Input id="rewrite-tone" placeholder="e.g. playful, formal" value={form.tone} onChange={setField('tone')} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="rewrite-must-include">Must include</Label>
+            <Input
+              id="rewrite-must-include"
+              placeholder="Comma-separated, e.g. free trial, 14 days"
+              value={form.mustInclude}
+              onChange={setField('mustInclude')}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="rewrite-forbidden">Forbidden words</Label>
+            <Input
+              id="rewrite-forbidden"
+              placeholder="Comma-separated, e.g. revolutionary, cheap"
+              value={form.forbiddenWords}
+              onChange={setField('forbiddenWords')}
+            />
+          </div>
+
+          {error && (
+            <Alert variant="destructive">
+              <XCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <Button className="w-full" onClick={handleGenerate} disabled={generating}>
+            {generating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Sparkles className="h-4 w-4 mr-2" />}
+            {generating ? 'Generating...' : 'Generate rewrites'}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function TextDiff({ parts }) {
+  return (
+    <p className="text-sm whitespace-pre-wrap">
+      {parts.map((part, idx) =>
+        part.type === 'added' ? (
+          <ins key={idx} className="bg-green-100 text-green-800 no-underline">{part.text}</ins>
+        ) : part.type === 'removed' ? (
+          <del key={idx} className="bg-red-100 text-red-800">{part.text}</del>
+        ) : (
+          <span key={idx}>{part.text}</span>
+        )
+      )}
+    </p>
+  );
+}
+
+function CompareView({ comparison, onClose }) {
+  const { a, b } = comparison;
+  const describe = (side) => `${analysisName(side)} · ${new Date(side.createdAt).toLocaleDateString()}`;
+
+  return (
+    <div className="space-y-6">
+      <Card className="shadow-lg">
+        <CardHeader>
+          <div className="flex items-start justify-between">
+            <CardTitle className="flex items-center gap-2">
+              <GitCompare className="h-5 w-5" />
+              Comparison
+            </CardTitle>
+            <Button variant="outline" size="sm" onClick={onClose}>
+              <XCircle className="h-4 w-4 mr-2" />
+              Close
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-2 gap-4">
+            {[a, b].map((side, idx) => (
+              <div key={side._id} className="p-3 rounded-lg border">
+                <p className="text-xs text-muted-foreground mb-1">{idx === 0 ? 'A' : 'B'}</p>
+                {side.url ? (
+                  <a
+                    href={side.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm font-medium flex items-center gap-1 hover:text-primary truncate"
+                  >
+                    {describe(side)}
+                    <ExternalLink className="h-3 w-3" />
+                  </a>
+                ) : (
+                  <p className="text-sm font-medium truncate">{describe(side)}</p>
+                )}
+                <div className="flex items-baseline gap-4 mt-2">
+                  <span className={`text-3xl font-bold ${getScoreColor(side.overall)}`}>{side.overall}</span>
+                  <span className="text-sm text-muted-foreground">ML {side.mlOverall ?? '-'}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2 mt-4">
+            <ScoreDelta label="Overall" value={comparison.overallDelta} />
+            <ScoreDelta label="ML" value={comparison.mlOverallDelta} />
+          </div>
+        </CardContent>
+      </Card>
+
+      {Object.entries(comparison.sections).map(([section, entry]) => (
+        <Card key={section} className="shadow-lg">
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle>{SECTION_LABELS[section]}</CardTitle>
+              <div className="flex gap-2">
+                <ScoreDelta label="AI" value={entry.scoreDelta} />
+                <ScoreDelta label="ML" value={entry.mlScoreDelta} />
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              {[entry.a, entry.b].map((side, idx) => (
+                <div key={idx} className="space-y-2">
+                  <SectionScore section={section} scores={side.scores} />
+                  <p className="text-xs text-muted-foreground">ML score: {side.mlScore ?? '-'}</p>
+                </div>
+              ))}
+            </div>
+            <div>
+              <h4 className="font-semibold mb-2">{entry.changed ? 'Changes from A to B:' : 'Content is identical'}</h4>
+              {entry.changed && (
+                <div className="p-3 bg-muted rounded-lg">
+                  <TextDiff parts={entry.diff} />
+                </div>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
+
+const HISTORY_CHART_CONFIG = {
+  overall: { label: 'AI score', color: 'hsl(var(--chart-1))' },
+  mlOverall: { label: 'ML score', color: 'hsl(var(--chart-2))' },
+};
+
+function PageHistory({ history, selectedId, onSelect }) {
+  const runs = history.runs.filter((run) => run.status === 'completed');
+  const chartData = runs.map((run) => ({
+    date: new Date(run.completedAt || run.createdAt).toLocaleDateString(),
+    overall: run.overall,
+    mlOverall: run.mlOverall,
+  }));
+
+  return (
+    <Card className="shadow-lg">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <History className="h-5 w-5" />
+          Page History
+        </CardTitle>
+        <CardDescription>
+          {runs.length} runs of {history.url}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <ChartContainer config={HISTORY_CHART_CONFIG} className="h-[220px] w-full aspect-auto">
+          <LineChart data={chartData} margin={{ left: -20, right: 12, top: 8 }}>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="date" tickLine={false} axisLine={false} tickMargin={8} />
+            <YAxis domain={[0, 100]} tickLine={false} axisLine={false} />
+            <ChartTooltip content={<ChartTooltipContent />} />
+            <ChartLegend content={<ChartLegendContent />} />
+            <Line dataKey="overall" type="monotone" stroke="var(--color-overall)" strokeWidth={2} />
+            <Line dataKey="mlOverall" type="monotone" stroke="var(--color-mlOverall)" strokeWidth={2} />
+          </LineChart>
+        </ChartContainer>
+
+        <div className="space-y-2">
+          {[...runs].reverse().map((run) => (
+            <div
+              key={run.analysisId}
+              className={`p-3 rounded-lg border cursor-pointer hover:bg-accent ${
+                run.analysisId === selectedId ? 'border-primary bg-primary/5' : ''
+              }`}
+              onClick={() => onSelect(run.analysisId)}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm">{new Date(run.completedAt || run.createdAt).toLocaleString()}</span>
+                <div className="flex items-center gap-2">
+                  <ScoreDelta value={run.overallDelta} />
+                  <Badge className={getScoreBgColor(run.overall)}>{run.overall}</Badge>
+                </div>
+              </div>
+              {run.changed.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {run.changed.map((section) => (
+                    <Badge key={section} variant="outline" className="border-amber-300 text-amber-800">
+                      {SECTION_LABELS[section]} changed
+                    </Badge>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+const EXPORT_FORMATS = [
+  { format: 'pdf', label: 'PDF report' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'csv', label: 'CSV (one row per section)' },
+  { format: 'json', label: 'JSON' },
+];
+
+function ExportMenu({ analysisId }) {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Download className="h-4 w-4 mr-2" />
+          Export
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {EXPORT_FORMATS.map(({ format, label }) => (
+          <DropdownMenuItem key={format} asChild>
+            {/* The session cookie authenticates the download */}
+            <a href={`/api/analyses/${analysisId}/export?format=${format}`} download>
+              {label}
+            </a>
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
+
+const SHARE_EXPIRY_OPTIONS = [
+  { value: 'never', label: 'Never expires' },
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' },
+  { value: '90', label: 'Expires in 90 days' },
+];
+
+function ShareDialog({ analysisId, apiFetch }) {
+  const [open, setOpen] = useState(false);
+  const [shares, setShares] = useState([]);
+  const [expiry, setExpiry] = useState('never');
+  const [hideMlDetails, setHideMlDetails] = useState(false);
+  const [createdUrl, setCreatedUrl] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchShares = async () => {
+    const response = await apiFetch(`/api/analyses/${analysisId}/shares`);
+    if (response.ok) setShares((await response.json()).shares);
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setCreatedUrl('');
+    setError('');
+    fetchShares().catch((err) => setError(err.message));
+  }, [open, analysisId]);
+
+  const createShare = async () => {
+    setError('');
+    try {
+      const response = await apiFetch(`/api/analyses/${analysisId}/shares`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          expiresInDays: expiry === 'never' ? null : Number(expiry),
+          hideMlDetails,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to create share link');
+
+      setCreatedUrl(data.url);
+      fetchShares();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const revokeShare = async (shareId) => {
+    setError('');
+    try {
+      const response = await apiFetch(`/api/analyses/${analysisId}/shares/${shareId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to revoke share link');
+      fetchShares();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const activeShares = shares.filter(
+    (share) => !share.revokedAt && (!share.expiresAt || new Date(share.expiresAt) > new Date())
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Share2 className="h-4 w-4 mr-2" />
+          Share
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Share a read-only report</DialogTitle>
+          <DialogDescription>
+            Anyone with the link can view this report without signing in. Links can be revoked at any time.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <Select value={expiry} onValueChange={setExpiry}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {SHARE_EXPIRY_OPTIONS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <div className="flex items-center gap-2">
+            <Switch id="hide-ml-details" checked={hideMlDetails} onCheckedChange={setHideMlDetails} />
+            <Label htmlFor="hide-ml-details">Hide ML feature details</Label>
+          </div>
+          <Button className="w-full" onClick={createShare}>
+            <Share2 className="h-4 w-4 mr-2" />
+            Create Link
+          </Button>
+
+          {createdUrl && (
+            <div className="flex items-center gap-2">
+              <Input value={createdUrl} readOnly onFocus={(e) => e.target.select()} />
+              <Button variant="outline" size="icon" onClick={() => navigator.clipboard.writeText(createdUrl)}>
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+          )}
+          {createdUrl && (
+            <p className="text-xs text-muted-foreground">Copy the link now; it cannot be shown again.</p>
+          )}
+
+          {activeShares.length > 0 && (
+            <div className="space-y-2">
+              <h4 className="text-sm font-semibold">Active links</h4>
+              {activeShares.map((share) => (
+                <div key={share._id} className="flex items-center justify-between text-sm p-2 rounded-lg border">
+                  <div>
+                    <span className="font-mono">{share.prefix}&hellip;</span>
+                    <span className="text-muted-foreground ml-2">
+                      {share.expiresAt ? `until ${new Date(share.expiresAt).toLocaleDateString()}` : 'no expiry'}
+                      {share.hideMlDetails && ' · ML details hidden'}
+                    </span>
+                  </div>
+                  <Button variant="ghost" size="icon" className="h-6 w-6" onClick={() => revokeShare(share._id)}>
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {error && (
+            <Alert variant="destructive">
+              <XCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+const NOTE_SECTION_LABELS = { overall: 'Overall', ...SECTION_LABELS };
+
+const EMPTY_BRAND_VOICE_FORM = { name: '', tone: '', bannedWords: '', requiredTerms: '', readingLevel: '', examples: '' };
+
+function brandVoiceForm(brandVoice) {
+  return {
+    name: brandVoice.name,
+    tone: brandVoice.tone.join(', '),
+    bannedWords: brandVoice.bannedWords.join(', '),
+    requiredTerms: brandVoice.requiredTerms.join(', '),
+    readingLevel: brandVoice.readingLevel ? String(brandVoice.readingLevel) : '',
+    examples: brandVoice.examples.join('\n'),
+  };
+}
+
+/**
+ * Create, edit and delete the workspace's brand voices, and pick the default
+ * one (admins only). Changes are reported through `onChanged(brandVoices)`
+ * and `onDefaultChanged(workspace)`.
+ */
+function BrandVoiceManager({ brandVoices, workspace, session, apiFetch, onChanged, onDefaultChanged }) {
+  const [open, setOpen] = useState(false);
+  // null lists the profiles; 'new' or a brand voice id shows the form
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_BRAND_VOICE_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const canEdit = session?.scopes.includes('analyze') ?? false;
+  const canDelete = session?.scopes.includes('delete') ?? false;
+  const canSetDefault = session?.scopes.includes('admin') ?? false;
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const startEditing = (brandVoice) => {
+    setEditing(brandVoice ? brandVoice._id : 'new');
+    setForm(brandVoice ? brandVoiceForm(brandVoice) : EMPTY_BRAND_VOICE_FORM);
+    setError('');
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(editing === 'new' ? '/api/brand-voices' : `/api/brand-voices/${editing}`, {
+        method: editing === 'new' ? 'POST' : 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: form.name,
+          tone: splitTerms(form.tone),
+          bannedWords: splitTerms(form.bannedWords),
+          requiredTerms: splitTerms(form.requiredTerms),
+          readingLevel: form.readingLevel ? parseInt(form.readingLevel) : null,
+          examples: form.examples.split('\n').map((line) => line.trim()).filter(Boolean),
+        }),
+      });
+      const saved = await response.json();
+      if (!response.ok) throw new Error(saved.error || 'Failed to save brand voice');
+
+      onChanged(
+        [...brandVoices.filter((brandVoice) => brandVoice._id !== saved._id), saved].sort((a, b) =>
+          a.name.localeCompare(b.name)
+        )
+      );
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (brandVoice) => {
+    if (!confirm(`Delete the "${brandVoice.name}" brand voice? Reports already run with it keep it.`)) return;
+    setError('');
+    try {
+      const response = await apiFetch(`/api/brand-voices/${brandVoice._id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete brand voice');
+
+      onChanged(brandVoices.filter((item) => item._id !== brandVoice._id));
+      if (workspace?.defaultBrandVoiceId === brandVoice._id) onDefaultChanged({ ...workspace, defaultBrandVoiceId: null });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setDefault = async (brandVoiceId) => {
+    setError('');
+    try {
+      const response = await apiFetch(`/api/workspaces/${workspace._id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ defaultBrandVoiceId: brandVoiceId }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to set the default brand voice');
+      onDefaultChanged(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(value) => {
+        setOpen(value);
+        setEditing(null);
+        setError('');
+      }}
+    >
+      <DialogTrigger asChild>
+        <Button type="button" variant="ghost" size="sm" title="Brand voices">
+          <Megaphone className="h-4 w-4" />
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Brand voices</DialogTitle>
+          <DialogDescription>
+            AI rewrites follow the analysis's brand voice, and rewrites that use banned words or skip required terms are
+            flagged.
+          </DialogDescription>
+        </DialogHeader>
+
+        {editing ? (
+          <form onSubmit={save} className="space-y-3">
+            <div className="space-y-2">
+              <Label htmlFor="brand-voice-name">Name</Label>
+              <Input id="brand-voice-name" value={form.name} onChange={setField('name')} autoFocus />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="brand-voice-tone">Tone</Label>
+              <Input
+                id="brand-voice-tone"
+                placeholder="Comma-separated, e.g. warm, confident, no hype"
+                value={form.tone}
+                onChange={setField('tone')}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="brand-voice-banned">Banned words</Label>
+                <Input
+                  id="brand-voice-banned"
+                  placeholder="e.g. cheap, revolutionary"
+                  value={form.bannedWords}
+                  onChange={setField('bannedWords')}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="brand-voice-required">Required terms</Label>
+                <Input
+                  id="brand-voice-required"
+                  placeholder="e.g. Acme Cloud"
+                  value={form.requiredTerms}
+                  onChange={setField('requiredTerms')}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="brand-voice-level">Reading level (US grade)</Label>
+              <Input
+                id="brand-voice-level"
+                type="number"
+                min={1}
+                max={16}
+                placeholder="Any"
+                value={form.readingLevel}
+                onChange={setField('readingLevel')}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="brand-voice-examples">Example copy, one per line</Label>
+              <Textarea id="brand-voice-examples" rows={3} value={form.examples} onChange={setField('examples')} />
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="ghost" onClick={() => setEditing(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving || !form.name.trim()}>
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save
+              </Button>
+            </div>
+          </form>
+        ) : (
+          <div className="space-y-2">
+            {brandVoices.length === 0 && <p className="text-sm text-muted-foreground">No brand voices yet.</p>}
+            {brandVoices.map((brandVoice) => {
+              const isDefault = workspace?.defaultBrandVoiceId === brandVoice._id;
+              return (
+                <div key={brandVoice._id} className="flex items-center gap-2 rounded-lg border p-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium truncate">{brandVoice.name}</p>
+                    {brandVoice.tone.length > 0 && (
+                      <p className="text-xs text-muted-foreground truncate">{brandVoice.tone.join(', ')}</p>
+                    )}
+                  </div>
+                  {isDefault && <Badge variant="secondary">Default</Badge>}
+                  {canSetDefault && (
+                    <Button variant="ghost" size="sm" onClick={() => setDefault(isDefault ? null : brandVoice._id)}>
+                      {isDefault ? 'Unset default' : 'Make default'}
+                    </Button>
+                  )}
+                  {canEdit && (
+                    <Button variant="ghost" size="icon" className="h-7 w-7" title="Edit" onClick={() => startEditing(brandVoice)}>
+                      <PenLine className="h-3 w-3" />
+                    </Button>
+                  )}
+                  {canDelete && (
+                    <Button variant="ghost" size="icon" className="h-7 w-7" title="Delete" onClick={() => remove(brandVoice)}>
+                      <Trash2 className="h-3 w-3" />
+                    </Button>
+                  )}
+                </div>
+              );
+            })}
+            {canEdit && (
+              <Button variant="outline" size="sm" onClick={() => startEditing(null)}>
+                <Plus className="h-4 w-4 mr-1" />
+                New brand voice
+              </Button>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <XCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/**
+ * Project and tags of an analysis, editable by members who can analyze.
+ */
+function AnalysisOrganizer({ analysis, projects, canEdit, apiFetch, onUpdated, onProjectCreated }) {
+  const [tagInput, setTagInput] = useState('');
+  const [newProjectOpen, setNewProjectOpen] = useState(false);
+  const [projectName, setProjectName] = useState('');
+  const [error, setError] = useState('');
+
+  const tags = analysis.tags || [];
+
+  const update = async (changes) => {
+    setError('');
+    try {
+      const response = await apiFetch(`/api/analyses/${analysis._id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to update analysis');
+      onUpdated(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addTag = (e) => {
+    e.preventDefault();
+    const tag = tagInput.trim();
+    if (!tag) return;
+    setTagInput('');
+    update({ tags: [...tags, tag] });
+  };
+
+  const createProject = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await apiFetch('/api/projects', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: projectName }),
+      });
+      const project = await response.json();
+      if (!response.ok) throw new Error(project.error || 'Failed to create project');
+
+      onProjectCreated(project);
+      setProjectName('');
+      setNewProjectOpen(false);
+      update({ projectId: project._id });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Card className="shadow-lg">
+      <CardContent className="pt-6 space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <FolderOpen className="h-4 w-4 text-muted-foreground" />
+          <Select
+            value={analysis.projectId || 'none'}
+            onValueChange={(value) => update({ projectId: value === 'none' ? null : value })}
+            disabled={!canEdit}
+          >
+            <SelectTrigger className="w-56 h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">No project</SelectItem>
+              {projects.map((project) => (
+                <SelectItem key={project._id} value={project._id}>
+                  {project.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {canEdit && (
+            <Dialog open={newProjectOpen} onOpenChange={setNewProjectOpen}>
+              <DialogTrigger asChild>
+                <Button variant="ghost" size="sm">
+                  <Plus className="h-4 w-4 mr-1" />
+                  New project
+                </Button>
+              </DialogTrigger>
+              <DialogContent>
+                <DialogHeader>
+                  <DialogTitle>New project</DialogTitle>
+                  <DialogDescription>Group reports by client or campaign. This report moves into it.</DialogDescription>
+                </DialogHeader>
+                <form onSubmit={createProject} className="flex gap-2">
+                  <Input
+                    placeholder="e.g. Acme spring campaign"
+                    value={projectName}
+                    onChange={(e) => setProjectName(e.target.value)}
+                    autoFocus
+                  />
+                  <Button type="submit" disabled={!projectName.trim()}>
+                    Create
+                  </Button>
+                </form>
+              </DialogContent>
+            </Dialog>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Tag className="h-4 w-4 text-muted-foreground" />
+          {tags.length === 0 && !canEdit && <span className="text-sm text-muted-foreground">No tags</span>}
+          {tags.map((tag) => (
+            <Badge key={tag} variant="secondary" className="gap-1">
+              {tag}
+              {canEdit && (
+                <button
+                  type="button"
+                  className="rounded-full hover:text-destructive"
+                  title={`Remove ${tag}`}
+                  onClick={() => update({ tags: tags.filter((t) => t !== tag) })}
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              )}
+            </Badge>
+          ))}
+          {canEdit && (
+            <form onSubmit={addTag}>
+              <Input
+                placeholder="Add tag"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                className="h-7 w-32 text-xs"
+              />
+            </form>
+          )}
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <XCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Team comments on a report, optionally about one section.
+ */
+function NotesPanel({ analysisId, apiFetch, session, canWrite }) {
+  const [notes, setNotes] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [section, setSection] = useState('overall');
+  const [body, setBody] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchNotes = async () => {
+    const response = await apiFetch(`/api/analyses/${analysisId}/notes`);
+    if (response.ok) setNotes((await response.json()).notes);
+  };
+
+  useEffect(() => {
+    setNotes([]);
+    setError('');
+    fetchNotes().catch((err) => setError(err.message));
+  }, [analysisId]);
+
+  const addNote = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await apiFetch(`/api/analyses/${analysisId}/notes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ section, body }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to add note');
+
+      setBody('');
+      setNotes((current) => [...current, data]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteNote = async (noteId) => {
+    setError('');
+    try {
+      const response = await apiFetch(`/api/analyses/${analysisId}/notes/${noteId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error((await response.json()).error || 'Failed to delete note');
+      setNotes((current) => current.filter((note) => note._id !== noteId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const canDeleteNote = (note) =>
+    canWrite && (note.author.userId === session?.user?._id || session?.scopes.includes('admin'));
+  const visible = filter === 'all' ? notes : notes.filter((note) => note.section === filter);
+
+  return (
+    <Card className="shadow-lg">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <MessageSquare className="h-5 w-5" />
+              Notes
+            </CardTitle>
+            <CardDescription>
+              {notes.length} note{notes.length !== 1 ? 's' : ''} from your team
+            </CardDescription>
+          </div>
+          <Select value={filter} onValueChange={setFilter}>
+            <SelectTrigger className="w-44 h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All sections</SelectItem>
+              {Object.entries(NOTE_SECTION_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {visible.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No notes yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {visible.map((note) => (
+              <div key={note._id} className="p-3 rounded-lg border space-y-1">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                    <span className="font-medium text-foreground">{note.author.name}</span>
+                    <span>{new Date(note.createdAt).toLocaleString()}</span>
+                    <Badge variant="outline">{NOTE_SECTION_LABELS[note.section]}</Badge>
+                  </div>
+                  {canDeleteNote(note) && (
+                    <Button variant="ghost" size="icon" className="h-6 w-6" onClick={() => deleteNote(note._id)}>
+                      <Trash2 className="h-3 w-3" />
+                    </Button>
+                  )}
+                </div>
+                <p className="text-sm whitespace-pre-wrap">{note.body}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {canWrite && (
+          <form onSubmit={addNote} className="space-y-2">
+            <Textarea
+              placeholder="Leave a note for your team"
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              rows={3}
+            />
+            <div className="flex items-center justify-end gap-2">
+              <Select value={section} onValueChange={setSection}>
+                <SelectTrigger className="w-44 h-9">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(NOTE_SECTION_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button type="submit" disabled={!body.trim()}>
+                Add Note
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <XCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+const LIST_PAGE_SIZE = 10;
+
+const STATUS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'analyzing', label: 'Running' },
+  { value: 'failed', label: 'Failed' },
+];
+
+// Overall score bands, matching the colours of getScoreColor
+const SCORE_FILTERS = [
+  { value: 'any', label: 'Any score' },
+  { value: 'high', label: '80+', min: 80 },
+  { value: 'medium', label: '60-79', min: 60, max: 79 },
+  { value: 'low', label: 'Below 60', max: 59 },
+];
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first', sort: 'date', order: 'desc' },
+  { value: 'oldest', label: 'Oldest first', sort: 'date', order: 'asc' },
+  { value: 'best', label: 'Highest score', sort: 'score', order: 'desc' },
+  { value: 'worst', label: 'Lowest score', sort: 'score', order: 'asc' },
+];
+
+const DEFAULT_LIST_QUERY = {
+  q: '',
+  status: 'all',
+  score: 'any',
+  tags: [],
+  project: 'all',
+  sort: 'newest',
+  page: 1,
+};
+
+// Most used tags offered as filters in the sidebar
+const MAX_TAG_FILTERS = 12;
+
+function listQueryParams(query) {
+  const params = new URLSearchParams({ page: String(query.page), limit: String(LIST_PAGE_SIZE) });
+  const score = SCORE_FILTERS.find((option) => option.value === query.score);
+  const sort = SORT_OPTIONS.find((option) => option.value === query.sort);
+
+  if (query.q) params.set('q', query.q);
+  if (query.status !== 'all') params.set('status', query.status);
+  if (query.tags.length > 0) params.set('tags', query.tags.join(','));
+  if (query.project !== 'all') params.set('project', query.project);
+  if (score?.min !== undefined) params.set('minScore', String(score.min));
+  if (score?.max !== undefined) params.set('maxScore', String(score.max));
+  params.set('sort', sort.sort);
+  params.set('order', sort.order);
+
+  return params.toString();
+}
+
+function FilterChips({ options, value, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {options.map((option) => (
+        <Button
+          key={option.value}
+          type="button"
+          variant={option.value === value ? 'secondary' : 'ghost'}
+          size="sm"
+          className="h-7 px-2 text-xs"
+          onClick={() => onChange(option.value)}
+        >
+          {option.label}
+        </Button>
+      ))}
+    </div>
+  );
+}
+
+function ListPagination({ pagination, onPageChange }) {
+  if (!pagination || pagination.pages <= 1) return null;
+
+  const { page, pages } = pagination;
+  // First, last and the neighbours of the current page
+  const numbers = [...new Set([1, page - 1, page, page + 1, pages])]
+    .filter((n) => n >= 1 && n <= pages)
+    .sort((a, b) => a - b);
+
+  const goTo = (target) => (e) => {
+    e.preventDefault();
+    if (target >= 1 && target <= pages && target !== page) onPageChange(target);
+  };
+
+  return (
+    <Pagination className="pt-2">
+      <PaginationContent>
+        <PaginationItem>
+          <PaginationPrevious
+            href="#"
+            onClick={goTo(page - 1)}
+            className={page === 1 ? 'pointer-events-none opacity-50' : ''}
+          />
+        </PaginationItem>
+        {numbers.map((n, idx) => (
+          <Fragment key={n}>
+            {idx > 0 && n - numbers[idx - 1] > 1 && (
+              <PaginationItem>
+                <PaginationEllipsis />
+              </PaginationItem>
+            )}
+            <PaginationItem>
+              <PaginationLink href="#" isActive={n === page} onClick={goTo(n)}>
+                {n}
+              </PaginationLink>
+            </PaginationItem>
+          </Fragment>
+        ))}
+        <PaginationItem>
+          <PaginationNext
+            href="#"
+            onClick={goTo(page + 1)}
+            className={page === pages ? 'pointer-events-none opacity-50' : ''}
+          />
+        </PaginationItem>
+      </PaginationContent>
+    </Pagination>
+  );
+}
+
+function SignInCard({ onSignedIn }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+
+    try {
+      const response = await fetch('/api/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to sign in');
+
+      setPassword('');
+      onSignedIn(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="shadow-lg max-w-md mx-auto">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Lock className="h-5 w-5" />
+          Sign In
+        </CardTitle>
+        <CardDescription>Sign in with your email and password to continue</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            type="email"
+            placeholder="you@example.com"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={submitting}
+            required
+          />
+          <Input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={submitting}
+            required
+          />
+          <Button type="submit" className="w-full" disabled={submitting || !email || !password}>
+            {submitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Lock className="mr-2 h-4 w-4" />}
+            Sign In
+          </Button>
+        </form>
+        {error && (
+          <Alert variant="destructive" className="mt-4">
+            <XCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 export default function App() {
   const [url, setUrl] = useState('');
+  const [inputMode, setInputMode] = useState('url');
+  const [html, setHtml] = useState('');
+  // `cta` is one call-to-action per line
+  const [content, setContent] = useState(EMPTY_CONTENT);
+  const [label, setLabel] = useState('');
+  const [scoringContext, setScoringContext] = useState(EMPTY_SCORING_CONTEXT);
+  const [showScoringContext, setShowScoringContext] = useState(false);
   const [loading, setLoading] = useState(false);
   const [analyses, setAnalyses] = useState([]);
   const [selectedAnalysis, setSelectedAnalysis] = useState(null);
   const [error, setError] = useState('');
   const [loadingAnalyses, setLoadingAnalyses] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [pageHistory, setPageHistory] = useState(null);
+  // `{ section, text }` open in the rewrite editor
+  const [editingCopy, setEditingCopy] = useState(null);
+  const [regeneratingSection, setRegeneratingSection] = useState(null);
+  // null while checking, then true/false
+  const [signedIn, setSignedIn] = useState(null);
+  // User, active workspace, role and scopes from /api/session
+  const [session, setSession] = useState(null);
+  const [listQuery, setListQuery] = useState(DEFAULT_LIST_QUERY);
+  const [searchInput, setSearchInput] = useState('');
+  const [pagination, setPagination] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [brandVoices, setBrandVoices] = useState([]);
+  // 'default' (the workspace's), 'none' or a brand voice id
+  const [brandVoiceId, setBrandVoiceId] = useState('default');
+  const eventSourceRef = useRef(null);
+  // fetchAnalyses runs from event listeners too, so it reads the latest query here
+  const listQueryRef = useRef(listQuery);
+  listQueryRef.current = listQuery;
+
+  const filtersActive =
+    listQuery.q !== '' ||
+    listQuery.status !== 'all' ||
+    listQuery.score !== 'any' ||
+    listQuery.tags.length > 0 ||
+    listQuery.project !== 'all';
+
+  const canAnalyze = session?.scopes.includes('analyze') ?? false;
+  const canDelete = session?.scopes.includes('delete') ?? false;
+  const defaultBrandVoice =
+    brandVoices.find((brandVoice) => brandVoice._id === session?.workspace?.defaultBrandVoiceId) || null;
 
   useEffect(() => {
-    fetchAnalyses();
+    fetch('/api/session')
+      .then(async (response) => {
+        setSignedIn(response.ok);
+        if (response.ok) {
+          setSession(await response.json());
+          fetchAnalyses();
+          fetchOrganization();
+        }
+      })
+      .catch(() => setSignedIn(false));
+    return () => eventSourceRef.current?.close();
   }, []);
 
+  // API calls authenticate with the session cookie; a 401 means it expired
+  const apiFetch = async (input, init) => {
+    const response = await fetch(input, init);
+    if (response.status === 401) {
+      eventSourceRef.current?.close();
+      setSignedIn(false);
+    }
+    return response;
+  };
+
+  const handleSignedIn = (data) => {
+    setSignedIn(true);
+    setSession(data);
+    setError('');
+    fetchAnalyses();
+    fetchOrganization();
+  };
+
+  const clearWorkspaceState = () => {
+    eventSourceRef.current?.close();
+    // Projects and tags belong to the workspace, so their filters go too
+    setListQuery((query) =>
+      query.page === 1 && query.tags.length === 0 && query.project === 'all'
+        ? query
+        : { ...query, tags: [], project: 'all', page: 1 }
+    );
+    setProjects([]);
+    setTags([]);
+    setBrandVoices([]);
+    setBrandVoiceId('default');
+    setPagination(null);
+    setAnalyses([]);
+    setSelectedAnalysis(null);
+    setComparison(null);
+    setProgress(null);
+    setLoading(false);
+  };
+
+  const signOut = async () => {
+    clearWorkspaceState();
+    await fetch('/api/session', { method: 'DELETE' });
+    setSignedIn(false);
+    setSession(null);
+  };
+
+  const switchWorkspace = async (workspaceId) => {
+    try {
+      const response = await apiFetch('/api/session', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workspaceId }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to switch workspace');
+
+      clearWorkspaceState();
+      setSession(data);
+      setError('');
+      fetchAnalyses();
+      fetchOrganization();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Load the run history of the selected analysis' page
+  useEffect(() => {
+    setPageHistory(null);
+    if (selectedAnalysis?.status !== 'completed' || !selectedAnalysis.pageId) return;
+
+    let cancelled = false;
+    apiFetch(`/api/pages/${selectedAnalysis.pageId}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((history) => {
+        if (!cancelled) setPageHistory(history);
+      })
+      .catch((err) => console.error('Error fetching page history:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedAnalysis?._id, selectedAnalysis?.status, selectedAnalysis?.pageId]);
+
+  const updateListQuery = (changes) => {
+    setListQuery((query) => ({ ...query, page: 1, ...changes }));
+  };
+
+  // Refetch whenever the filters or page change (not on mount; sign-in fetches)
+  useEffect(() => {
+    if (signedIn) fetchAnalyses();
+  }, [listQuery]);
+
+  // Debounce the search box
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const q = searchInput.trim();
+      setListQuery((query) => (query.q === q ? query : { ...query, q, page: 1 }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Projects, tags and brand voices of the workspace, for filters, the
+  // report editor and the analyze form
+  const fetchOrganization = async () => {
+    try {
+      const [projectsResponse, tagsResponse, brandVoicesResponse] = await Promise.all([
+        apiFetch('/api/projects'),
+        apiFetch('/api/tags'),
+        apiFetch('/api/brand-voices'),
+      ]);
+      if (projectsResponse.ok) setProjects((await projectsResponse.json()).projects);
+      if (tagsResponse.ok) setTags((await tagsResponse.json()).tags);
+      if (brandVoicesResponse.ok) setBrandVoices((await brandVoicesResponse.json()).brandVoices);
+    } catch (err) {
+      console.error('Error fetching projects, tags and brand voices:', err);
+    }
+  };
+
+  const handleBrandVoicesChanged = (updated) => {
+    setBrandVoices(updated);
+    if (brandVoiceId !== 'default' && brandVoiceId !== 'none' && !updated.some((item) => item._id === brandVoiceId)) {
+      setBrandVoiceId('default');
+    }
+  };
+
+  const handleAnalysisUpdated = (analysis) => {
+    setSelectedAnalysis(analysis);
+    setAnalyses((current) => current.map((item) => (item._id === analysis._id ? { ...item, ...analysis } : item)));
+    fetchOrganization();
+  };
+
+  const handleRewritesRegenerated = (section, { rewrites, rewriteScores, generation }) => {
+    setSelectedAnalysis((current) => ({
+      ...current,
+      rewrites: { ...current.rewrites, [section]: rewrites },
+      rewriteScores: { ...current.rewriteScores, [section]: rewriteScores },
+      rewriteHistory: [...(current.rewriteHistory || []), generation],
+    }));
+  };
+
+  const toggleTagFilter = (tag) => {
+    setListQuery((query) => ({
+      ...query,
+      tags: query.tags.includes(tag) ? query.tags.filter((t) => t !== tag) : [...query.tags, tag],
+      page: 1,
+    }));
+  };
+
   const fetchAnalyses = async () => {
     try {
       setLoadingAnalyses(true);
-      const response = await fetch('/api/analyze');
+      const query = listQueryRef.current;
+      const response = await apiFetch(`/api/analyze?${listQueryParams(query)}`);
       if (!response.ok) throw new Error('Failed to fetch analyses');
       const data = await response.json();
+
+      // Step back if the current page emptied (e.g. after a delete)
+      if (data.analyses?.length === 0 && query.page > 1) {
+        setListQuery((current) => ({ ...current, page: Math.max(1, data.pagination.pages) }));
+        return;
+      }
+
       setAnalyses(data.analyses || []);
+      setPagination(data.pagination);
     } catch (err) {
       console.error('Error fetching analyses:', err);
     } finally {
@@ -49,16 +1748,35 @@ export default function App() {
     }
   };
 
+  const canSubmit =
+    inputMode === 'url'
+      ? Boolean(url)
+      : inputMode === 'html'
+        ? Boolean(html.trim())
+        : Object.values(content).some((value) => value.trim());
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
     try {
-      const response = await fetch('/api/analyze', {
+      const payload = { url: url || undefined };
+      if (inputMode !== 'url' && label) payload.label = label;
+      if (brandVoiceId !== 'default') payload.brandVoiceId = brandVoiceId;
+      for (const { field } of SCORING_CONTEXT_SELECTS) {
+        if (scoringContext[field] !== 'any') payload[field] = scoringContext[field];
+      }
+      if (scoringContext.industry.trim()) payload.industry = scoringContext.industry;
+      if (inputMode === 'html') payload.html = html;
+      if (inputMode === 'content') {
+        payload.content = { ...content, cta: content.cta.split('\n').filter((line) => line.trim()) };
+      }
+
+      const response = await apiFetch('/api/analyze', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify(payload),
       });
 
       if (!response.ok) {
@@ -68,55 +1786,83 @@ export default function App() {
 
       const data = await response.json();
       
-      // Poll for completion
-      pollAnalysis(data.analysisId);
+      setSelectedAnalysis({
+        _id: data.analysisId,
+        url: url || null,
+        label: inputMode !== 'url' ? label || null : null,
+        source: inputMode,
+        status: 'analyzing',
+      });
+      fetchAnalyses();
+
+      // Stream progress until completion
+      watchAnalysis(data.analysisId);
     } catch (err) {
       setError(err.message);
       setLoading(false);
     }
   };
 
-  const pollAnalysis = async (analysisId) => {
-    const maxAttempts = 60; // 60 seconds max
-    let attempts = 0;
+  const watchAnalysis = (analysisId) => {
+    eventSourceRef.current?.close();
+    setProgress({ stage: 'queued' });
 
-    const poll = async () => {
-      try {
-        const response = await fetch(`/api/analyses/${analysisId}`);
-        if (!response.ok) throw new Error('Failed to fetch analysis');
-        
-        const analysis = await response.json();
-
-        if (analysis.status === 'completed' || analysis.status === 'failed') {
-          setLoading(false);
-          setSelectedAnalysis(analysis);
-          fetchAnalyses();
-          setUrl('');
-          return;
-        }
+    const source = new EventSource(`/api/analyses/${analysisId}/events`);
+    eventSourceRef.current = source;
 
-        attempts++;
-        if (attempts < maxAttempts) {
-          setTimeout(poll, 1000);
-        } else {
-          setError('Analysis timed out. Please try again.');
-          setLoading(false);
-        }
-      } catch (err) {
-        setError(err.message);
+    source.addEventListener('stage', (event) => {
+      setProgress(JSON.parse(event.data));
+    });
+
+    source.addEventListener('done', (event) => {
+      source.close();
+      const analysis = JSON.parse(event.data);
+      setLoading(false);
+      setProgress(null);
+      setSelectedAnalysis(analysis);
+      fetchAnalyses();
+      setUrl('');
+    });
+
+    source.addEventListener('error', (event) => {
+      // Server-sent error payload (e.g. analysis deleted); network errors reconnect on their own
+      if (event.data) {
+        source.close();
+        setError(JSON.parse(event.data).error);
         setLoading(false);
+        setProgress(null);
       }
-    };
-
-    poll();
+    });
   };
 
   const viewAnalysis = async (analysisId) => {
+    // Only the selected analysis is streamed; the previous one keeps running server-side
+    eventSourceRef.current?.close();
+    setLoading(false);
+    setProgress(null);
+    setComparison(null);
+
     try {
-      const response = await fetch(`/api/analyses/${analysisId}`);
+      const response = await apiFetch(`/api/analyses/${analysisId}`);
       if (!response.ok) throw new Error('Failed to fetch analysis');
       const analysis = await response.json();
       setSelectedAnalysis(analysis);
+      if (analysis.status === 'analyzing') {
+        watchAnalysis(analysisId);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const compareWithSelected = async (analysisId) => {
+    try {
+      const response = await apiFetch(`/api/analyses/compare?a=${selectedAnalysis._id}&b=${analysisId}`);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to compare analyses');
+      }
+      setComparison(await response.json());
     } catch (err) {
       setError(err.message);
     }
@@ -124,14 +1870,18 @@ export default function App() {
 
   const deleteAnalysis = async (analysisId) => {
     try {
-      const response = await fetch(`/api/analyses/${analysisId}`, {
+      const response = await apiFetch(`/api/analyses/${analysisId}`, {
         method: 'DELETE',
       });
       if (!response.ok) throw new Error('Failed to delete analysis');
       fetchAnalyses();
+      fetchOrganization();
       if (selectedAnalysis?._id === analysisId) {
         setSelectedAnalysis(null);
       }
+      if (comparison?.a._id === analysisId || comparison?.b._id === analysisId) {
+        setComparison(null);
+      }
     } catch (err) {
       setError(err.message);
     }
@@ -141,18 +1891,6 @@ export default function App() {
     navigator.clipboard.writeText(text);
   };
 
-  const getScoreColor = (score) => {
-    if (score >= 80) return 'text-green-600';
-    if (score >= 60) return 'text-yellow-600';
-    return 'text-red-600';
-  };
-
-  const getScoreBgColor = (score) => {
-    if (score >= 80) return 'bg-green-100';
-    if (score >= 60) return 'bg-yellow-100';
-    return 'bg-red-100';
-  };
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
       {/* Header */}
@@ -170,437 +1908,531 @@ export default function App() {
                 <p className="text-sm text-muted-foreground">AI-Powered Content Optimizer</p>
               </div>
             </div>
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={fetchAnalyses}
-              disabled={loadingAnalyses}
-            >
-              <RefreshCw className={`h-4 w-4 mr-2 ${loadingAnalyses ? 'animate-spin' : ''}`} />
-              Refresh
-            </Button>
+            {signedIn && (
+              <div className="flex items-center gap-2">
+                {session?.workspaces?.length > 0 && (
+                  <Select value={session.workspace?._id} onValueChange={switchWorkspace}>
+                    <SelectTrigger className="w-48 h-9">
+                      <Users className="h-4 w-4 mr-2 shrink-0" />
+                      <SelectValue placeholder="Workspace" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {session.workspaces.map((workspace) => (
+                        <SelectItem key={workspace._id} value={workspace._id}>
+                          {workspace.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+                {session?.role && (
+                  <Badge variant="secondary" className="capitalize">{session.role}</Badge>
+                )}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={fetchAnalyses}
+                  disabled={loadingAnalyses}
+                >
+                  <RefreshCw className={`h-4 w-4 mr-2 ${loadingAnalyses ? 'animate-spin' : ''}`} />
+                  Refresh
+                </Button>
+                <Button variant="ghost" size="sm" onClick={signOut}>
+                  <LogOut className="h-4 w-4 mr-2" />
+                  Sign Out
+                </Button>
+              </div>
+            )}
           </div>
         </div>
       </header>
 
       <div className="container mx-auto px-4 py-8">
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-          {/* Left Column - Input & List */}
-          <div className="lg:col-span-1 space-y-6">
-            {/* Analysis Input */}
-            <Card className="shadow-lg">
-              <CardHeader>
-                <CardTitle className="flex items-center gap-2">
-                  <Search className="h-5 w-5" />
-                  Analyze Website
-                </CardTitle>
-                <CardDescription>
-                  Enter a website URL to analyze its conversion potential
-                </CardDescription>
-              </CardHeader>
-              <CardContent>
-                <form onSubmit={handleSubmit} className="space-y-4">
-                  <Input
-                    type="url"
-                    placeholder="https://example.com"
-                    value={url}
-                    onChange={(e) => setUrl(e.target.value)}
-                    disabled={loading}
-                    required
-                  />
-                  <Button
-                    type="submit"
-                    className="w-full"
-                    disabled={loading || !url}
-                  >
-                    {loading ? (
-                      <>
-                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                        Analyzing...
-                      </>
-                    ) : (
+        {signedIn === null ? (
+          <div className="flex items-center justify-center py-16">
+            <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+          </div>
+        ) : !signedIn ? (
+          <SignInCard onSignedIn={handleSignedIn} />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Left Column - Input & List */}
+            <div className="lg:col-span-1 space-y-6">
+              {/* Analysis Input */}
+              <Card className="shadow-lg">
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Search className="h-5 w-5" />
+                    Analyze Website
+                  </CardTitle>
+                  <CardDescription>
+                    {!canAnalyze
+                      ? 'Viewers can browse results but not start analyses'
+                      : inputMode === 'url'
+                        ? 'Enter a website URL to analyze its conversion potential'
+                        : 'Score pages and drafts that are not live yet'}
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <form onSubmit={handleSubmit} className="space-y-4">
+                    <ToggleGroup
+                      type="single"
+                      variant="outline"
+                      size="sm"
+                      className="grid grid-cols-3"
+                      value={inputMode}
+                      onValueChange={(mode) => mode && setInputMode(mode)}
+                      disabled={loading || !canAnalyze}
+                    >
+                      {INPUT_MODES.map(({ value, label: modeLabel, icon: Icon }) => (
+                        <ToggleGroupItem key={value} value={value}>
+                          <Icon className="h-4 w-4 mr-1" />
+                          {modeLabel}
+                        </ToggleGroupItem>
+                      ))}
+                    </ToggleGroup>
+                    <Input
+                      type="url"
+                      placeholder={inputMode === 'url' ? 'https://example.com' : 'Where it will live (optional)'}
+                      value={url}
+                      onChange={(e) => setUrl(e.target.value)}
+                      disabled={loading || !canAnalyze}
+                      required={inputMode === 'url'}
+                    />
+                    {inputMode === 'html' && (
+                      <Textarea
+                        placeholder="Paste the page's HTML source"
+                        value={html}
+                        onChange={(e) => setHtml(e.target.value)}
+                        disabled={loading || !canAnalyze}
+                        rows={6}
+                        className="font-mono text-xs"
+                      />
+                    )}
+                    {inputMode === 'content' && (
                       <>
-                        <Sparkles className="mr-2 h-4 w-4" />
-                        Analyze Content
+                        <Input
+                          placeholder="Headline"
+                          value={content.headline}
+                          onChange={(e) => setContent({ ...content, headline: e.target.value })}
+                          disabled={loading || !canAnalyze}
+                        />
+                        <Input
+                          placeholder="Subheadline"
+                          value={content.subheadline}
+                          onChange={(e) => setContent({ ...content, subheadline: e.target.value })}
+                          disabled={loading || !canAnalyze}
+                        />
+                        <Textarea
+                          placeholder="Calls-to-action, one per line"
+                          value={content.cta}
+                          onChange={(e) => setContent({ ...content, cta: e.target.value })}
+                          disabled={loading || !canAnalyze}
+                          rows={2}
+                        />
+                        <Textarea
+                          placeholder="Body copy"
+                          value={content.bodyCopy}
+                          onChange={(e) => setContent({ ...content, bodyCopy: e.target.value })}
+                          disabled={loading || !canAnalyze}
+                          rows={4}
+                        />
                       </>
                     )}
-                  </Button>
-                </form>
-
-                {error && (
-                  <Alert variant="destructive" className="mt-4">
-                    <XCircle className="h-4 w-4" />
-                    <AlertDescription>{error}</AlertDescription>
-                  </Alert>
-                )}
-              </CardContent>
-            </Card>
-
-            {/* Analysis List */}
-            <Card className="shadow-lg">
-              <CardHeader>
-                <CardTitle className="flex items-center gap-2">
-                  <BarChart3 className="h-5 w-5" />
-                  Recent Analyses
-                </CardTitle>
-                <CardDescription>
-                  {analyses.length} analysis{analyses.length !== 1 ? 'es' : ''} completed
-                </CardDescription>
-              </CardHeader>
-              <CardContent className="space-y-2">
-                {loadingAnalyses ? (
-                  <div className="flex items-center justify-center py-8">
-                    <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
-                  </div>
-                ) : analyses.length === 0 ? (
-                  <p className="text-sm text-muted-foreground text-center py-8">
-                    No analyses yet. Start by analyzing a website!
-                  </p>
-                ) : (
-                  <div className="space-y-2 max-h-[500px] overflow-y-auto">
-                    {analyses.map((analysis) => (
-                      <div
-                        key={analysis._id}
-                        className={`p-3 rounded-lg border cursor-pointer transition-all hover:shadow-md ${
-                          selectedAnalysis?._id === analysis._id
-                            ? 'bg-primary/5 border-primary'
-                            : 'bg-background hover:bg-accent'
-                        }`}
-                        onClick={() => viewAnalysis(analysis._id)}
+                    {inputMode !== 'url' && (
+                      <Input
+                        placeholder="Label, e.g. Pricing page draft v2 (optional)"
+                        value={label}
+                        onChange={(e) => setLabel(e.target.value)}
+                        disabled={loading || !canAnalyze}
+                      />
+                    )}
+                    <div className="flex items-center gap-2">
+                      <Select value={brandVoiceId} onValueChange={setBrandVoiceId} disabled={loading || !canAnalyze}>
+                        <SelectTrigger className="flex-1">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="default">
+                            {defaultBrandVoice ? `Brand voice: ${defaultBrandVoice.name} (default)` : 'No brand voice (default)'}
+                          </SelectItem>
+                          {defaultBrandVoice && <SelectItem value="none">No brand voice</SelectItem>}
+                          {brandVoices
+                            .filter((brandVoice) => brandVoice._id !== defaultBrandVoice?._id)
+                            .map((brandVoice) => (
+                              <SelectItem key={brandVoice._id} value={brandVoice._id}>
+                                Brand voice: {brandVoice.name}
+                              </SelectItem>
+                            ))}
+                        </SelectContent>
+                      </Select>
+                      <BrandVoiceManager
+                        brandVoices={brandVoices}
+                        workspace={session?.workspace}
+                        session={session}
+                        apiFetch={apiFetch}
+                        onChanged={handleBrandVoicesChanged}
+                        onDefaultChanged={(workspace) =>
+                          setSession((current) => ({ ...current, workspace: { ...current.workspace, ...workspace } }))
+                        }
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Button
+                        type="button"
+                        variant="link"
+                        size="sm"
+                        className="h-auto p-0 text-muted-foreground"
+                        onClick={() => setShowScoringContext((shown) => !shown)}
                       >
-                        <div className="flex items-start justify-between">
-                          <div className="flex-1 min-w-0">
-                            <p className="text-sm font-medium truncate">
-                              {new URL(analysis.url).hostname}
-                            </p>
-                            <p className="text-xs text-muted-foreground mt-1">
-                              {new Date(analysis.createdAt).toLocaleDateString()}
-                            </p>
-                          </div>
-                          <div className="flex items-center gap-2 ml-2">
-                            {analysis.status === 'completed' && (
-                              <Badge className={getScoreBgColor(analysis.scores?.overall)}>
-                                {analysis.scores?.overall}
-                              </Badge>
-                            )}
-                            {analysis.status === 'analyzing' && (
-                              <Loader2 className="h-4 w-4 animate-spin text-blue-500" />
-                            )}
-                            {analysis.status === 'failed' && (
-                              <XCircle className="h-4 w-4 text-red-500" />
-                            )}
-                            <Button
-                              variant="ghost"
-                              size="icon"
-                              className="h-6 w-6"
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                deleteAnalysis(analysis._id);
-                              }}
+                        <Target className="h-4 w-4 mr-1" />
+                        Audience and funnel stage (optional)
+                      </Button>
+                      {showScoringContext && (
+                        <div className="grid grid-cols-2 gap-2">
+                          {SCORING_CONTEXT_SELECTS.map(({ field, placeholder, options }) => (
+                            <Select
+                              key={field}
+                              value={scoringContext[field]}
+                              onValueChange={(value) => setScoringContext((current) => ({ ...current, [field]: value }))}
+                              disabled={loading || !canAnalyze}
                             >
-                              <Trash2 className="h-3 w-3" />
-                            </Button>
-                          </div>
+                              <SelectTrigger>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="any">{placeholder}</SelectItem>
+                                {Object.entries(options).map(([value, optionLabel]) => (
+                                  <SelectItem key={value} value={value}>
+                                    {optionLabel}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          ))}
+                          <Input
+                            placeholder="Industry, e.g. fintech"
+                            value={scoringContext.industry}
+                            onChange={(e) => setScoringContext((current) => ({ ...current, industry: e.target.value }))}
+                            disabled={loading || !canAnalyze}
+                          />
                         </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
-              </CardContent>
-            </Card>
-          </div>
+                      )}
+                    </div>
+                    <Button
+                      type="submit"
+                      className="w-full"
+                      disabled={loading || !canAnalyze || !canSubmit}
+                    >
+                      {loading ? (
+                        <>
+                          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          Analyzing...
+                        </>
+                      ) : (
+                        <>
+                          <Sparkles className="mr-2 h-4 w-4" />
+                          Analyze Content
+                        </>
+                      )}
+                    </Button>
+                  </form>
 
-          {/* Right Column - Detailed Analysis */}
-          <div className="lg:col-span-2">
-            {!selectedAnalysis ? (
-              <Card className="shadow-lg">
-                <CardContent className="flex flex-col items-center justify-center py-16">
-                  <div className="p-4 bg-primary/10 rounded-full mb-4">
-                    <TrendingUp className="h-12 w-12 text-primary" />
-                  </div>
-                  <h3 className="text-xl font-semibold mb-2">No Analysis Selected</h3>
-                  <p className="text-muted-foreground text-center max-w-md">
-                    Analyze a website or select a previous analysis to view detailed conversion optimization insights
-                  </p>
-                </CardContent>
-              </Card>
-            ) : selectedAnalysis.status === 'failed' ? (
-              <Card className="shadow-lg">
-                <CardContent className="flex flex-col items-center justify-center py-16">
-                  <XCircle className="h-12 w-12 text-red-500 mb-4" />
-                  <h3 className="text-xl font-semibold mb-2">Analysis Failed</h3>
-                  <p className="text-muted-foreground text-center max-w-md">
-                    {selectedAnalysis.error || 'An error occurred during analysis'}
-                  </p>
-                </CardContent>
-              </Card>
-            ) : selectedAnalysis.status === 'analyzing' ? (
-              <Card className="shadow-lg">
-                <CardContent className="flex flex-col items-center justify-center py-16">
-                  <Loader2 className="h-12 w-12 animate-spin text-primary mb-4" />
-                  <h3 className="text-xl font-semibold mb-2">Analyzing Content...</h3>
-                  <p className="text-muted-foreground text-center max-w-md">
-                    Our AI is analyzing the content and generating optimization suggestions
-                  </p>
+                  {error && (
+                    <Alert variant="destructive" className="mt-4">
+                      <XCircle className="h-4 w-4" />
+                      <AlertDescription>{error}</AlertDescription>
+                    </Alert>
+                  )}
                 </CardContent>
               </Card>
-            ) : (
-              <div className="space-y-6">
-                {/* Website Info */}
-                <Card className="shadow-lg">
-                  <CardHeader>
-                    <div className="flex items-start justify-between">
-                      <div className="flex-1">
-                        <CardTitle className="flex items-center gap-2 mb-2">
-                          <CheckCircle2 className="h-5 w-5 text-green-500" />
-                          Analysis Complete
-                        </CardTitle>
-                        <div className="flex items-center gap-2 text-sm text-muted-foreground">
-                          <a
-                            href={selectedAnalysis.url}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="flex items-center gap-1 hover:text-primary transition-colors"
-                          >
-                            {selectedAnalysis.url}
-                            <ExternalLink className="h-3 w-3" />
-                          </a>
-                        </div>
-                      </div>
-                      <div className="text-center">
-                        <div className={`text-4xl font-bold ${getScoreColor(selectedAnalysis.scores.overall)}`}>
-                          {selectedAnalysis.scores.overall}
-                        </div>
-                        <div className="text-xs text-muted-foreground mt-1">Overall Score</div>
-                      </div>
-                    </div>
-                  </CardHeader>
-                  <CardContent>
-                    <Alert>
-                      <AlertDescription className="text-sm">
-                        {selectedAnalysis.explanations.overall}
-                      </AlertDescription>
-                    </Alert>
-                  </CardContent>
-                </Card>
-
-                {/* Detailed Scores */}
-                <Card className="shadow-lg">
-                  <CardHeader>
-                    <CardTitle>Conversion Score Breakdown</CardTitle>
-                  </CardHeader>
-                  <CardContent className="space-y-6">
-                    {/* Headline */}
-                    <div>
-                      <div className="flex items-center justify-between mb-2">
-                        <span className="font-semibold">Headline</span>
-                        <span className={`font-bold ${getScoreColor(selectedAnalysis.scores.headline.score)}`}>
-                          {selectedAnalysis.scores.headline.score}/100
-                        </span>
-                      </div>
-                      <Progress value={selectedAnalysis.scores.headline.score} className="mb-2" />
-                      <div className="flex gap-2 mb-2">
-                        <Badge variant="outline">Clarity: {selectedAnalysis.scores.headline.clarity}/10</Badge>
-                        <Badge variant="outline">Specificity: {selectedAnalysis.scores.headline.specificity}/10</Badge>
-                        <Badge variant="outline">Actionability: {selectedAnalysis.scores.headline.actionability}/10</Badge>
-                      </div>
-                      <p className="text-sm text-muted-foreground">{selectedAnalysis.explanations.headline}</p>
-                    </div>
-
-                    <Separator />
-
-                    {/* Subheadline */}
-                    <div>
-                      <div className="flex items-center justify-between mb-2">
-                        <span className="font-semibold">Subheadline</span>
-                        <span className={`font-bold ${getScoreColor(selectedAnalysis.scores.subheadline.score)}`}>
-                          {selectedAnalysis.scores.subheadline.score}/100
-                        </span>
-                      </div>
-                      <Progress value={selectedAnalysis.scores.subheadline.score} className="mb-2" />
-                      <div className="flex gap-2 mb-2">
-                        <Badge variant="outline">Clarity: {selectedAnalysis.scores.subheadline.clarity}/10</Badge>
-                        <Badge variant="outline">Specificity: {selectedAnalysis.scores.subheadline.specificity}/10</Badge>
-                      </div>
-                      <p className="text-sm text-muted-foreground">{selectedAnalysis.explanations.subheadline}</p>
-                    </div>
 
-                    <Separator />
-
-                    {/* CTA */}
-                    <div>
-                      <div className="flex items-center justify-between mb-2">
-                        <span className="font-semibold">Call-to-Action</span>
-                        <span className={`font-bold ${getScoreColor(selectedAnalysis.scores.cta.score)}`}>
-                          {selectedAnalysis.scores.cta.score}/100
-                        </span>
-                      </div>
-                      <Progress value={selectedAnalysis.scores.cta.score} className="mb-2" />
-                      <div className="flex gap-2 mb-2">
-                        <Badge variant="outline">Actionability: {selectedAnalysis.scores.cta.actionability}/10</Badge>
-                        <Badge variant="outline">Persuasiveness: {selectedAnalysis.scores.cta.persuasiveness}/10</Badge>
-                      </div>
-                      <p className="text-sm text-muted-foreground">{selectedAnalysis.explanations.cta}</p>
+              {/* Analysis List */}
+              <Card className="shadow-lg">
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <BarChart3 className="h-5 w-5" />
+                    Recent Analyses
+                  </CardTitle>
+                  <CardDescription>
+                    {pagination?.total ?? analyses.length} analys{(pagination?.total ?? analyses.length) !== 1 ? 'es' : 'is'}
+                    {filtersActive && ' matching filters'}
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-2">
+                  <div className="space-y-2 pb-2">
+                    <div className="relative">
+                      <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-muted-foreground" />
+                      <Input
+                        type="search"
+                        placeholder="Search by URL or domain"
+                        value={searchInput}
+                        onChange={(e) => setSearchInput(e.target.value)}
+                        className="pl-8"
+                      />
                     </div>
-
-                    <Separator />
-
-                    {/* Body Copy */}
-                    <div>
-                      <div className="flex items-center justify-between mb-2">
-                        <span className="font-semibold">Body Copy</span>
-                        <span className={`font-bold ${getScoreColor(selectedAnalysis.scores.bodyCopy.score)}`}>
-                          {selectedAnalysis.scores.bodyCopy.score}/100
-                        </span>
-                      </div>
-                      <Progress value={selectedAnalysis.scores.bodyCopy.score} className="mb-2" />
-                      <div className="flex gap-2 mb-2">
-                        <Badge variant="outline">Readability: {selectedAnalysis.scores.bodyCopy.readability}/10</Badge>
-                        <Badge variant="outline">Persuasiveness: {selectedAnalysis.scores.bodyCopy.persuasiveness}/10</Badge>
+                    <FilterChips
+                      options={STATUS_FILTERS}
+                      value={listQuery.status}
+                      onChange={(status) => updateListQuery({ status })}
+                    />
+                    <FilterChips
+                      options={SCORE_FILTERS}
+                      value={listQuery.score}
+                      onChange={(score) => updateListQuery({ score })}
+                    />
+                    {projects.length > 0 && (
+                      <Select value={listQuery.project} onValueChange={(project) => updateListQuery({ project })}>
+                        <SelectTrigger className="h-8 text-xs">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="all">All projects</SelectItem>
+                          <SelectItem value="none">No project</SelectItem>
+                          {projects.map((project) => (
+                            <SelectItem key={project._id} value={project._id}>
+                              {project.name} ({project.analysisCount})
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    )}
+                    {tags.length > 0 && (
+                      <div className="flex flex-wrap gap-1">
+                        {[
+                          ...new Set([...listQuery.tags, ...tags.slice(0, MAX_TAG_FILTERS).map(({ tag }) => tag)]),
+                        ].map((tag) => (
+                          <Badge
+                            key={tag}
+                            variant={listQuery.tags.includes(tag) ? 'default' : 'outline'}
+                            className="cursor-pointer"
+                            onClick={() => toggleTagFilter(tag)}
+                          >
+                            {tag}
+                          </Badge>
+                        ))}
                       </div>
-                      <p className="text-sm text-muted-foreground">{selectedAnalysis.explanations.bodyCopy}</p>
+                    )}
+                    <Select value={listQuery.sort} onValueChange={(sort) => updateListQuery({ sort })}>
+                      <SelectTrigger className="h-8 text-xs">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {SORT_OPTIONS.map((option) => (
+                          <SelectItem key={option.value} value={option.value}>
+                            {option.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  {loadingAnalyses ? (
+                    <div className="flex items-center justify-center py-8">
+                      <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
                     </div>
-                  </CardContent>
-                </Card>
-
-                {/* Content & Rewrites */}
-                <Card className="shadow-lg">
-                  <CardHeader>
-                    <CardTitle>Content Analysis & Suggestions</CardTitle>
-                  </CardHeader>
-                  <CardContent>
-                    <Tabs defaultValue="headline" className="w-full">
-                      <TabsList className="grid w-full grid-cols-4">
-                        <TabsTrigger value="headline">Headline</TabsTrigger>
-                        <TabsTrigger value="subheadline">Subheadline</TabsTrigger>
-                        <TabsTrigger value="cta">CTA</TabsTrigger>
-                        <TabsTrigger value="body">Body</TabsTrigger>
-                      </TabsList>
-
-                      <TabsContent value="headline" className="space-y-4 mt-4">
-                        <div>
-                          <h4 className="font-semibold mb-2">Original:</h4>
-                          <div className="p-3 bg-muted rounded-lg">
-                            <p className="text-sm">{selectedAnalysis.extractedContent.headline}</p>
-                          </div>
-                        </div>
-                        <div>
-                          <h4 className="font-semibold mb-2">AI Suggestions:</h4>
-                          <div className="space-y-2">
-                            {selectedAnalysis.rewrites.headline.map((rewrite, idx) => (
-                              <div key={idx} className="p-3 bg-green-50 border border-green-200 rounded-lg">
-                                <div className="flex items-start justify-between">
-                                  <p className="text-sm flex-1">{rewrite}</p>
-                                  <Button
-                                    variant="ghost"
-                                    size="icon"
-                                    className="h-6 w-6 ml-2"
-                                    onClick={() => copyToClipboard(rewrite)}
-                                  >
-                                    <Copy className="h-3 w-3" />
-                                  </Button>
-                                </div>
-                              </div>
-                            ))}
-                          </div>
-                        </div>
-                      </TabsContent>
-
-                      <TabsContent value="subheadline" className="space-y-4 mt-4">
-                        <div>
-                          <h4 className="font-semibold mb-2">Original:</h4>
-                          <div className="p-3 bg-muted rounded-lg">
-                            <p className="text-sm">{selectedAnalysis.extractedContent.subheadline}</p>
-                          </div>
-                        </div>
-                        <div>
-                          <h4 className="font-semibold mb-2">AI Suggestions:</h4>
-                          <div className="space-y-2">
-                            {selectedAnalysis.rewrites.subheadline.map((rewrite, idx) => (
-                              <div key={idx} className="p-3 bg-green-50 border border-green-200 rounded-lg">
-                                <div className="flex items-start justify-between">
-                                  <p className="text-sm flex-1">{rewrite}</p>
-                                  <Button
-                                    variant="ghost"
-                                    size="icon"
-                                    className="h-6 w-6 ml-2"
-                                    onClick={() => copyToClipboard(rewrite)}
-                                  >
-                                    <Copy className="h-3 w-3" />
-                                  </Button>
+                  ) : analyses.length === 0 ? (
+                    <p className="text-sm text-muted-foreground text-center py-8">
+                      {filtersActive
+                        ? 'No analyses match these filters.'
+                        : 'No analyses yet. Start by analyzing a website!'}
+                    </p>
+                  ) : (
+                    <div className="space-y-2 max-h-[500px] overflow-y-auto">
+                      {analyses.map((analysis) => (
+                        <div
+                          key={analysis._id}
+                          className={`p-3 rounded-lg border cursor-pointer transition-all hover:shadow-md ${
+                            selectedAnalysis?._id === analysis._id
+                              ? 'bg-primary/5 border-primary'
+                              : 'bg-background hover:bg-accent'
+                          }`}
+                          onClick={() => viewAnalysis(analysis._id)}
+                        >
+                          <div className="flex items-start justify-between">
+                            <div className="flex-1 min-w-0">
+                              <p className="text-sm font-medium truncate flex items-center gap-1">
+                                {analysis.source === 'html' && <FileCode className="h-3 w-3 shrink-0 text-muted-foreground" />}
+                                {analysis.source === 'content' && <PenLine className="h-3 w-3 shrink-0 text-muted-foreground" />}
+                                <span className="truncate">{analysisName(analysis)}</span>
+                              </p>
+                              <p className="text-xs text-muted-foreground mt-1">
+                                {new Date(analysis.createdAt).toLocaleDateString()}
+                              </p>
+                              {analysis.tags?.length > 0 && (
+                                <div className="flex flex-wrap gap-1 mt-1">
+                                  {analysis.tags.map((tag) => (
+                                    <Badge
+                                      key={tag}
+                                      variant={listQuery.tags.includes(tag) ? 'default' : 'outline'}
+                                      className="px-1.5 py-0 text-[10px] font-normal"
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        toggleTagFilter(tag);
+                                      }}
+                                    >
+                                      {tag}
+                                    </Badge>
+                                  ))}
                                 </div>
-                              </div>
-                            ))}
-                          </div>
-                        </div>
-                      </TabsContent>
-
-                      <TabsContent value="cta" className="space-y-4 mt-4">
-                        <div>
-                          <h4 className="font-semibold mb-2">Original:</h4>
-                          <div className="p-3 bg-muted rounded-lg space-y-1">
-                            {selectedAnalysis.extractedContent.cta.map((cta, idx) => (
-                              <p key={idx} className="text-sm">{cta}</p>
-                            ))}
-                          </div>
-                        </div>
-                        <div>
-                          <h4 className="font-semibold mb-2">AI Suggestions:</h4>
-                          <div className="space-y-2">
-                            {selectedAnalysis.rewrites.cta.map((rewrite, idx) => (
-                              <div key={idx} className="p-3 bg-green-50 border border-green-200 rounded-lg">
-                                <div className="flex items-start justify-between">
-                                  <p className="text-sm flex-1">{rewrite}</p>
+                              )}
+                            </div>
+                            <div className="flex items-center gap-2 ml-2">
+                              {analysis.warnings?.length > 0 && (
+                                <span title="Score may have been manipulated">
+                                  <AlertTriangle className="h-4 w-4 text-amber-500" />
+                                </span>
+                              )}
+                              {analysis.status === 'completed' && (
+                                <Badge className={getScoreBgColor(analysis.scores?.overall)}>
+                                  {analysis.scores?.overall}
+                                </Badge>
+                              )}
+                              {analysis.status === 'analyzing' && (
+                                <Loader2 className="h-4 w-4 animate-spin text-blue-500" />
+                              )}
+                              {analysis.status === 'failed' && (
+                                <XCircle className="h-4 w-4 text-red-500" />
+                              )}
+                              {selectedAnalysis?.status === 'completed' &&
+                                analysis.status === 'completed' &&
+                                analysis._id !== selectedAnalysis._id && (
                                   <Button
                                     variant="ghost"
                                     size="icon"
-                                    className="h-6 w-6 ml-2"
-                                    onClick={() => copyToClipboard(rewrite)}
+                                    className="h-6 w-6"
+                                    title="Compare with selected analysis"
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      compareWithSelected(analysis._id);
+                                    }}
                                   >
-                                    <Copy className="h-3 w-3" />
+                                    <GitCompare className="h-3 w-3" />
                                   </Button>
-                                </div>
-                              </div>
-                            ))}
+                                )}
+                              {canDelete && (
+                                <Button
+                                  variant="ghost"
+                                  size="icon"
+                                  className="h-6 w-6"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    deleteAnalysis(analysis._id);
+                                  }}
+                                >
+                                  <Trash2 className="h-3 w-3" />
+                                </Button>
+                              )}
+                            </div>
                           </div>
                         </div>
-                      </TabsContent>
+                      ))}
+                    </div>
+                  )}
+                  <ListPagination
+                    pagination={pagination}
+                    onPageChange={(page) => setListQuery((query) => ({ ...query, page }))}
+                  />
+                </CardContent>
+              </Card>
+            </div>
 
-                      <TabsContent value="body" className="space-y-4 mt-4">
-                        <div>
-                          <h4 className="font-semibold mb-2">Original:</h4>
-                          <div className="p-3 bg-muted rounded-lg">
-                            <p className="text-sm">{selectedAnalysis.extractedContent.bodyCopy}</p>
-                          </div>
-                        </div>
-                        <div>
-                          <h4 className="font-semibold mb-2">AI Suggestions:</h4>
-                          <div className="space-y-2">
-                            {selectedAnalysis.rewrites.bodyCopy.map((rewrite, idx) => (
-                              <div key={idx} className="p-3 bg-green-50 border border-green-200 rounded-lg">
-                                <div className="flex items-start justify-between">
-                                  <p className="text-sm flex-1">{rewrite}</p>
-                                  <Button
-                                    variant="ghost"
-                                    size="icon"
-                                    className="h-6 w-6 ml-2"
-                                    onClick={() => copyToClipboard(rewrite)}
-                                  >
-                                    <Copy className="h-3 w-3" />
-                                  </Button>
-                                </div>
-                              </div>
-                            ))}
-                          </div>
-                        </div>
-                      </TabsContent>
-                    </Tabs>
+            {/* Right Column - Detailed Analysis */}
+            <div className="lg:col-span-2">
+              {comparison ? (
+                <CompareView comparison={comparison} onClose={() => setComparison(null)} />
+              ) : !selectedAnalysis ? (
+                <Card className="shadow-lg">
+                  <CardContent className="flex flex-col items-center justify-center py-16">
+                    <div className="p-4 bg-primary/10 rounded-full mb-4">
+                      <TrendingUp className="h-12 w-12 text-primary" />
+                    </div>
+                    <h3 className="text-xl font-semibold mb-2">No Analysis Selected</h3>
+                    <p className="text-muted-foreground text-center max-w-md">
+                      Analyze a website or select a previous analysis to view detailed conversion optimization insights
+                    </p>
                   </CardContent>
                 </Card>
-              </div>
-            )}
+              ) : selectedAnalysis.status === 'failed' ? (
+                <Card className="shadow-lg">
+                  <CardContent className="flex flex-col items-center justify-center py-16">
+                    <XCircle className="h-12 w-12 text-red-500 mb-4" />
+                    <h3 className="text-xl font-semibold mb-2">
+                      {BLOCKED_ERROR_CODES.includes(selectedAnalysis.errorCode) ? 'URL Blocked' : 'Analysis Failed'}
+                    </h3>
+                    <p className="text-muted-foreground text-center max-w-md">
+                      {selectedAnalysis.error || 'An error occurred during analysis'}
+                    </p>
+                    {BLOCKED_ERROR_CODES.includes(selectedAnalysis.errorCode) && (
+                      <Badge variant="outline" className="mt-3">{selectedAnalysis.errorCode}</Badge>
+                    )}
+                  </CardContent>
+                </Card>
+              ) : selectedAnalysis.status === 'analyzing' ? (
+                <Card className="shadow-lg">
+                  <CardContent className="flex flex-col items-center justify-center py-16">
+                    <Loader2 className="h-12 w-12 animate-spin text-primary mb-4" />
+                    <h3 className="text-xl font-semibold mb-2">Analyzing Content...</h3>
+                    <p className="text-muted-foreground text-center max-w-md mb-6">
+                      Our AI is analyzing the content and generating optimization suggestions
+                    </p>
+                    <AnalysisStepper progress={progress} />
+                  </CardContent>
+                </Card>
+              ) : (
+                <div className="space-y-6">
+                  <AnalysisReport
+                    analysis={selectedAnalysis}
+                    onEditCopy={(section, text) => setEditingCopy({ section, text })}
+                    onRegenerate={canAnalyze ? (section) => setRegeneratingSection({ section }) : null}
+                    actions={
+                      <>
+                        {canAnalyze && <ShareDialog analysisId={selectedAnalysis._id} apiFetch={apiFetch} />}
+                        <ExportMenu analysisId={selectedAnalysis._id} />
+                      </>
+                    }
+                  >
+                    <AnalysisOrganizer
+                      analysis={selectedAnalysis}
+                      projects={projects}
+                      canEdit={canAnalyze}
+                      apiFetch={apiFetch}
+                      onUpdated={handleAnalysisUpdated}
+                      onProjectCreated={(project) => setProjects((current) => [...current, project])}
+                    />
+                    {/* Run history for this URL */}
+                    {pageHistory?.runs.filter((run) => run.status === 'completed').length > 1 && (
+                      <PageHistory history={pageHistory} selectedId={selectedAnalysis._id} onSelect={viewAnalysis} />
+                    )}
+                  </AnalysisReport>
+                  <NotesPanel
+                    analysisId={selectedAnalysis._id}
+                    apiFetch={apiFetch}
+                    session={session}
+                    canWrite={canAnalyze}
+                  />
+                  <RewriteEditor
+                    target={editingCopy}
+                    original={
+                      editingCopy?.section === 'cta'
+                        ? selectedAnalysis.extractedContent.cta[0] || ''
+                        : selectedAnalysis.extractedContent[editingCopy?.section]
+                    }
+                    context={selectedAnalysis.scoringContext}
+                    apiFetch={apiFetch}
+                    onClose={() => setEditingCopy(null)}
+                  />
+                  <RegenerateRewritesDialog
+                    target={regeneratingSection}
+                    analysisId={selectedAnalysis._id}
+                    apiFetch={apiFetch}
+                    onClose={() => setRegeneratingSection(null)}
+                    onRegenerated={handleRewritesRegenerated}
+                  />
+                </div>
+              )}
+            </div>
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,55 @@
+import { notFound } from 'next/navigation';
+import { Sparkles } from 'lucide-react';
+import { AnalysisReport } from '@/components/analysis-report';
+import { resolveShare } from '@/lib/shares';
+
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'Conversion report | ConversionAI',
+  robots: { index: false, follow: false },
+};
+
+/**
+ * Read-only report behind a share link: no sign-in, history sidebar or
+ * delete controls.
+ */
+export default async function SharedReportPage({ params }) {
+  const shared = await resolveShare(params.token);
+  if (!shared) notFound();
+
+  // Dates and other BSON values must be plain JSON to reach the client component
+  const analysis = JSON.parse(JSON.stringify(shared.analysis));
+  const expiresAt = shared.share.expiresAt ? new Date(shared.share.expiresAt) : null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
+      <header className="border-b bg-white shadow-sm">
+        <div className="container mx-auto px-4 py-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <div className="p-2 bg-gradient-to-br from-purple-500 to-pink-500 rounded-lg">
+                <Sparkles className="h-6 w-6 text-white" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">
+                  ConversionAI
+                </h1>
+                <p className="text-sm text-muted-foreground">Shared conversion report</p>
+              </div>
+            </div>
+            {expiresAt && (
+              <p className="text-sm text-muted-foreground">
+                Link expires {expiresAt.toISOString().slice(0, 10)}
+              </p>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        <AnalysisReport analysis={analysis} />
+      </div>
+    </div>
+  );
+}
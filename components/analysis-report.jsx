@@ -0,0 +1,535 @@
+'use client';
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { Separator } from '@/components/ui/separator';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { AlertTriangle, CheckCircle2, Copy, Cpu, ExternalLink, Megaphone, PenLine, RefreshCw, XCircle } from 'lucide-react';
+import { SOURCE_NAMES, analysisName } from '@/lib/analysis-name';
+import { describeScoringContext } from '@/lib/scoring-context';
+
+export const getScoreColor = (score) => {
+  if (score >= 80) return 'text-green-600';
+  if (score >= 60) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+export const getScoreBgColor = (score) => {
+  if (score >= 80) return 'bg-green-100';
+  if (score >= 60) return 'bg-yellow-100';
+  return 'bg-red-100';
+};
+
+export const SECTION_LABELS = {
+  headline: 'Headline',
+  subheadline: 'Subheadline',
+  cta: 'Call-to-Action',
+  bodyCopy: 'Body Copy',
+};
+
+// Sub-scores (0-10) shown under each section score
+const SECTION_METRICS = {
+  headline: ['clarity', 'specificity', 'actionability'],
+  subheadline: ['clarity', 'specificity'],
+  cta: ['actionability', 'persuasiveness'],
+  bodyCopy: ['readability', 'persuasiveness'],
+};
+
+export function SectionScore({ section, scores, explanation }) {
+  if (!scores) return null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-semibold">{SECTION_LABELS[section]}</span>
+        <span className={`font-bold ${getScoreColor(scores.score)}`}>
+          {scores.score}/100
+        </span>
+      </div>
+      <Progress value={scores.score} className="mb-2" />
+      <div className="flex flex-wrap gap-2 mb-2">
+        {SECTION_METRICS[section].map((metric) => (
+          <Badge key={metric} variant="outline" className="capitalize">
+            {metric}: {scores[metric]}/10
+          </Badge>
+        ))}
+      </div>
+      {explanation && <p className="text-sm text-muted-foreground">{explanation}</p>}
+    </div>
+  );
+}
+
+// Points between the AI and ML score before a section is flagged
+const DISAGREEMENT_THRESHOLD = 25;
+
+const ML_FEATURE_LABELS = {
+  hasNumber: 'Contains a number',
+  hasActionVerb: 'Action verb',
+  optimalLength: '6-12 words',
+  hasQuestion: 'Asks a question',
+  hasEmotionalWords: 'Emotional words',
+  hasNegation: 'Addresses a pain point',
+  startsWithVerb: 'Starts with a verb',
+  hasUrgency: 'Urgency',
+  hasFreeOffer: 'Free offer',
+  isShort: '1-4 words',
+};
+
+function MlFeatureBadges({ features }) {
+  const entries = Object.entries(features || {}).filter(([key]) => key in ML_FEATURE_LABELS);
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {entries.map(([key, present]) => (
+        <Badge
+          key={key}
+          variant="outline"
+          className={present ? 'border-green-300 text-green-700' : 'text-muted-foreground'}
+        >
+          {present ? <CheckCircle2 className="h-3 w-3 mr-1" /> : <XCircle className="h-3 w-3 mr-1" />}
+          {ML_FEATURE_LABELS[key]}
+        </Badge>
+      ))}
+      {typeof features.wordCount === 'number' && (
+        <Badge variant="outline">{features.wordCount} words</Badge>
+      )}
+    </div>
+  );
+}
+
+function MlInsights({ analysis }) {
+  const { scores, mlScores, mlPredictions } = analysis;
+  const improvements = {
+    headline: mlPredictions?.headlinePrediction?.improvements || [],
+    cta: mlPredictions?.ctaPrediction?.improvements || [],
+  };
+
+  return (
+    <Card className="shadow-lg">
+      <CardHeader>
+        <div className="flex items-start justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Cpu className="h-5 w-5" />
+              ML Model Insights
+            </CardTitle>
+            <CardDescription className="mt-1">
+              {mlScores.overall?.modelVersion} &middot; Confidence: {mlScores.overall?.confidence}
+            </CardDescription>
+          </div>
+          <div className="text-center">
+            <div className={`text-3xl font-bold ${getScoreColor(mlScores.overall?.mlScore)}`}>
+              {mlScores.overall?.mlScore}
+            </div>
+            <div className="text-xs text-muted-foreground mt-1">ML Score</div>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {Object.entries(SECTION_LABELS).map(([section, label]) => {
+          const ml = mlScores[section];
+          if (!ml) return null;
+
+          const aiScore = scores?.[section]?.score;
+          const disagrees =
+            typeof aiScore === 'number' && Math.abs(aiScore - ml.mlScore) >= DISAGREEMENT_THRESHOLD;
+
+          return (
+            <div
+              key={section}
+              className={`p-3 rounded-lg border space-y-2 ${disagrees ? 'border-amber-300 bg-amber-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-semibold">{label}</span>
+                <div className="flex items-center gap-3 text-sm">
+                  <span>
+                    AI <span className={`font-bold ${getScoreColor(aiScore)}`}>{aiScore ?? '-'}</span>
+                  </span>
+                  <span>
+                    ML <span className={`font-bold ${getScoreColor(ml.mlScore)}`}>{ml.mlScore}</span>
+                  </span>
+                </div>
+              </div>
+              {disagrees && (
+                <p className="flex items-center gap-1 text-xs text-amber-800">
+                  <AlertTriangle className="h-3 w-3" />
+                  The AI and ML scorers disagree by {Math.abs(aiScore - ml.mlScore)} points
+                </p>
+              )}
+              <div className="flex flex-wrap items-center gap-2 text-sm text-muted-foreground">
+                {ml.prediction && <span>{ml.prediction}</span>}
+                {ml.sentiment && (
+                  <Badge variant="secondary">
+                    {ml.sentiment.label} ({Math.round(ml.sentiment.score * 100)}%)
+                  </Badge>
+                )}
+              </div>
+              <MlFeatureBadges features={ml.features} />
+              {improvements[section]?.length > 0 && (
+                <ul className="list-disc pl-5 text-sm text-muted-foreground">
+                  {improvements[section].map((item, idx) => (
+                    <li key={idx}>{item}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * One AI rewrite. `score` (from `rewriteScores`) adds its predicted ML score
+ * and uplift; rewrites predicted to do worse than the original or breaking
+ * the brand voice word lists are flagged, and ones added by a later
+ * regeneration are marked.
+ */
+function Suggestion({ text, score, onCopy, onEdit }) {
+  const downgrade = score?.belowOriginal;
+  const offBrand = score?.brandVoiceViolations || [];
+
+  return (
+    <div
+      className={`p-3 rounded-lg border ${
+        downgrade || offBrand.length > 0 ? 'bg-amber-50 border-amber-300' : 'bg-green-50 border-green-200'
+      }`}
+    >
+      <div className="flex items-start justify-between">
+        <div className="flex-1 space-y-1">
+          <p className="text-sm">{text}</p>
+          {score && (
+            <div className="flex items-center gap-2 text-xs">
+              <Badge variant="outline" className={getScoreColor(score.mlScore)}>
+                ML {score.mlScore}
+              </Badge>
+              {score.generationId && <Badge variant="secondary">Regenerated</Badge>}
+              {score.uplift !== null && (
+                <span className={score.uplift > 0 ? 'text-green-700' : score.uplift < 0 ? 'text-amber-700' : 'text-muted-foreground'}>
+                  {score.uplift > 0 ? `+${score.uplift}` : score.uplift} vs original
+                </span>
+              )}
+              {downgrade && (
+                <span className="flex items-center gap-1 text-amber-700">
+                  <AlertTriangle className="h-3 w-3" />
+                  Predicted to convert worse than the current copy
+                </span>
+              )}
+            </div>
+          )}
+          {offBrand.length > 0 && (
+            <p className="flex items-start gap-1 text-xs text-amber-700">
+              <Megaphone className="h-3 w-3 mt-0.5 shrink-0" />
+              Off-brand: {offBrand.join('; ')}
+            </p>
+          )}
+        </div>
+        {onEdit && (
+          <Button variant="ghost" size="icon" className="h-6 w-6 ml-2" title="Edit and re-score" onClick={onEdit}>
+            <PenLine className="h-3 w-3" />
+          </Button>
+        )}
+        <Button variant="ghost" size="icon" className="h-6 w-6 ml-2" onClick={() => onCopy(text)}>
+          <Copy className="h-3 w-3" />
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The full report for a completed analysis: overall score and assessment,
+ * section breakdown, ML insights and rewrites. Shared by the dashboard and
+ * the public share page. `actions` render next to the overall score and
+ * `children` between the summary and the breakdown. With `onEditCopy`,
+ * rewrites get an edit button that calls it with `(section, text)`; with
+ * `onRegenerate`, each section can ask for more rewrites (called with `section`).
+ */
+export function AnalysisReport({ analysis, actions = null, children = null, onEditCopy = null, onRegenerate = null }) {
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text);
+  };
+
+  // Only the first CTA is scored for effectiveness, so edits start from it
+  const originalCopy = (section) =>
+    section === 'cta' ? analysis.extractedContent.cta[0] || '' : analysis.extractedContent[section];
+
+  return (
+    <div className="space-y-6">
+      {/* Website Info */}
+      <Card className="shadow-lg">
+        <CardHeader>
+          <div className="flex items-start justify-between">
+            <div className="flex-1">
+              <CardTitle className="flex items-center gap-2 mb-2">
+                <CheckCircle2 className="h-5 w-5 text-green-500" />
+                Analysis Complete
+              </CardTitle>
+              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                {analysis.url ? (
+                  <a
+                    href={analysis.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center gap-1 hover:text-primary transition-colors"
+                  >
+                    {analysis.url}
+                    <ExternalLink className="h-3 w-3" />
+                  </a>
+                ) : (
+                  <span>{analysisName(analysis)}</span>
+                )}
+                {/* Pasted copy is not necessarily what the URL serves today */}
+                {analysis.source && analysis.source !== 'url' && (analysis.url || analysis.label) && (
+                  <Badge variant="outline">{SOURCE_NAMES[analysis.source]}</Badge>
+                )}
+                {describeScoringContext(analysis.scoringContext).map((part) => (
+                  <Badge key={part} variant="outline" title="Scores are weighted for this audience and funnel stage">
+                    {part}
+                  </Badge>
+                ))}
+                {analysis.brandVoice && (
+                  <Badge variant="secondary" title="Rewrites follow this brand voice">
+                    <Megaphone className="h-3 w-3 mr-1" />
+                    {analysis.brandVoice.name}
+                  </Badge>
+                )}
+              </div>
+            </div>
+            <div className="flex items-start gap-4">
+              {actions}
+              <div className="text-center">
+                <div className={`text-4xl font-bold ${getScoreColor(analysis.scores.overall)}`}>
+                  {analysis.scores.overall}
+                </div>
+                <div className="text-xs text-muted-foreground mt-1">Overall Score</div>
+              </div>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {analysis.warnings?.length > 0 && (
+            <Alert className="border-amber-300 bg-amber-50 text-amber-900">
+              <AlertTriangle className="h-4 w-4 !text-amber-600" />
+              <AlertDescription className="text-sm space-y-1">
+                <p className="font-semibold">These scores may have been manipulated</p>
+                {analysis.warnings.map((warning, idx) => (
+                  <p key={idx}>{warning.message}</p>
+                ))}
+              </AlertDescription>
+            </Alert>
+          )}
+          <Alert>
+            <AlertDescription className="text-sm">
+              {analysis.explanations.overall}
+            </AlertDescription>
+          </Alert>
+        </CardContent>
+      </Card>
+
+      {children}
+
+      {/* Detailed Scores */}
+      <Card className="shadow-lg">
+        <CardHeader>
+          <CardTitle>Conversion Score Breakdown</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {Object.keys(SECTION_LABELS).map((section, idx) => (
+            <div key={section} className="space-y-6">
+              {idx > 0 && <Separator />}
+              <SectionScore
+                section={section}
+                scores={analysis.scores[section]}
+                explanation={analysis.explanations[section]}
+              />
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      {/* ML Scores & Predictions */}
+      {analysis.mlScores && <MlInsights analysis={analysis} />}
+
+      {/* Content & Rewrites */}
+      <Card className="shadow-lg">
+        <CardHeader>
+          <CardTitle>Content Analysis & Suggestions</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Tabs defaultValue="headline" className="w-full">
+            <TabsList className="grid w-full grid-cols-4">
+              <TabsTrigger value="headline">Headline</TabsTrigger>
+              <TabsTrigger value="subheadline">Subheadline</TabsTrigger>
+              <TabsTrigger value="cta">CTA</TabsTrigger>
+              <TabsTrigger value="body">Body</TabsTrigger>
+            </TabsList>
+
+            <TabsContent value="headline" className="space-y-4 mt-4">
+              <div>
+                <h4 className="font-semibold mb-2">Original:</h4>
+                <div className="p-3 bg-muted rounded-lg">
+                  <p className="text-sm">{analysis.extractedContent.headline}</p>
+                </div>
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-semibold">AI Suggestions{analysis.rewriteScores && ', best predicted first'}:</h4>
+                  <div className="flex gap-2">
+                    {onRegenerate && (
+                      <Button variant="outline" size="sm" onClick={() => onRegenerate('headline')}>
+                        <RefreshCw className="h-3 w-3 mr-2" />
+                        More rewrites
+                      </Button>
+                    )}
+                    {onEditCopy && (
+                      <Button variant="outline" size="sm" onClick={() => onEditCopy('headline', originalCopy('headline'))}>
+                        <PenLine className="h-3 w-3 mr-2" />
+                        Write your own
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {analysis.rewrites.headline.map((rewrite, idx) => (
+                    <Suggestion
+                      key={idx}
+                      text={rewrite}
+                      score={analysis.rewriteScores?.headline?.[idx]}
+                      onCopy={copyToClipboard}
+                      onEdit={onEditCopy && (() => onEditCopy('headline', rewrite))}
+                    />
+                  ))}
+                </div>
+              </div>
+            </TabsContent>
+
+            <TabsContent value="subheadline" className="space-y-4 mt-4">
+              <div>
+                <h4 className="font-semibold mb-2">Original:</h4>
+                <div className="p-3 bg-muted rounded-lg">
+                  <p className="text-sm">{analysis.extractedContent.subheadline}</p>
+                </div>
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-semibold">AI Suggestions{analysis.rewriteScores && ', best predicted first'}:</h4>
+                  <div className="flex gap-2">
+                    {onRegenerate && (
+                      <Button variant="outline" size="sm" onClick={() => onRegenerate('subheadline')}>
+                        <RefreshCw className="h-3 w-3 mr-2" />
+                        More rewrites
+                      </Button>
+                    )}
+                    {onEditCopy && (
+                      <Button variant="outline" size="sm" onClick={() => onEditCopy('subheadline', originalCopy('subheadline'))}>
+                        <PenLine className="h-3 w-3 mr-2" />
+                        Write your own
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {analysis.rewrites.subheadline.map((rewrite, idx) => (
+                    <Suggestion
+                      key={idx}
+                      text={rewrite}
+                      score={analysis.rewriteScores?.subheadline?.[idx]}
+                      onCopy={copyToClipboard}
+                      onEdit={onEditCopy && (() => onEditCopy('subheadline', rewrite))}
+                    />
+                  ))}
+                </div>
+              </div>
+            </TabsContent>
+
+            <TabsContent value="cta" className="space-y-4 mt-4">
+              <div>
+                <h4 className="font-semibold mb-2">Original:</h4>
+                <div className="p-3 bg-muted rounded-lg space-y-1">
+                  {analysis.extractedContent.cta.map((cta, idx) => (
+                    <p key={idx} className="text-sm">{cta}</p>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-semibold">AI Suggestions{analysis.rewriteScores && ', best predicted first'}:</h4>
+                  <div className="flex gap-2">
+                    {onRegenerate && (
+                      <Button variant="outline" size="sm" onClick={() => onRegenerate('cta')}>
+                        <RefreshCw className="h-3 w-3 mr-2" />
+                        More rewrites
+                      </Button>
+                    )}
+                    {onEditCopy && (
+                      <Button variant="outline" size="sm" onClick={() => onEditCopy('cta', originalCopy('cta'))}>
+                        <PenLine className="h-3 w-3 mr-2" />
+                        Write your own
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {analysis.rewrites.cta.map((rewrite, idx) => (
+                    <Suggestion
+                      key={idx}
+                      text={rewrite}
+                      score={analysis.rewriteScores?.cta?.[idx]}
+                      onCopy={copyToClipboard}
+                      onEdit={onEditCopy && (() => onEditCopy('cta', rewrite))}
+                    />
+                  ))}
+                </div>
+              </div>
+            </TabsContent>
+
+            <TabsContent value="body" className="space-y-4 mt-4">
+              <div>
+                <h4 className="font-semibold mb-2">Original:</h4>
+                <div className="p-3 bg-muted rounded-lg">
+                  <p className="text-sm">{analysis.extractedContent.bodyCopy}</p>
+                </div>
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-semibold">AI Suggestions{analysis.rewriteScores && ', best predicted first'}:</h4>
+                  <div className="flex gap-2">
+                    {onRegenerate && (
+                      <Button variant="outline" size="sm" onClick={() => onRegenerate('bodyCopy')}>
+                        <RefreshCw className="h-3 w-3 mr-2" />
+                        More rewrites
+                      </Button>
+                    )}
+                    {onEditCopy && (
+                      <Button variant="outline" size="sm" onClick={() => onEditCopy('bodyCopy', originalCopy('bodyCopy'))}>
+                        <PenLine className="h-3 w-3 mr-2" />
+                        Write your own
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {analysis.rewrites.bodyCopy.map((rewrite, idx) => (
+                    <Suggestion
+                      key={idx}
+                      text={rewrite}
+                      score={analysis.rewriteScores?.bodyCopy?.[idx]}
+                      onCopy={copyToClipboard}
+                      onEdit={onEditCopy && (() => onEditCopy('bodyCopy', rewrite))}
+                    />
+                  ))}
+                </div>
+              </div>
+            </TabsContent>
+          </Tabs>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+export async function register() {
+  // The job worker needs MongoDB and timers, so only start it in the Node.js runtime.
+  // Keep the import inside this check so it is dropped from the edge bundle.
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    try {
+      const { ensureJobWorker } = await import('./lib/worker');
+      await ensureJobWorker();
+    } catch (error) {
+      console.error('Failed to start job worker:', error);
+    }
+  }
+}
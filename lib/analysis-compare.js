@@ -0,0 +1,60 @@
+import { diffWords } from '@/lib/text-diff';
+import { SECTIONS } from '@/lib/analysis-summary';
+
+function sectionText(extractedContent, section) {
+  const value = extractedContent?.[section];
+  return Array.isArray(value) ? value.join('\n') : value || '';
+}
+
+function delta(before, after) {
+  return typeof before === 'number' && typeof after === 'number' ? after - before : null;
+}
+
+function summarize(analysis) {
+  return {
+    _id: analysis._id,
+    url: analysis.url,
+    label: analysis.label ?? null,
+    source: analysis.source ?? 'url',
+    createdAt: analysis.createdAt,
+    overall: analysis.scores?.overall ?? null,
+    mlOverall: analysis.mlScores?.overall?.mlScore ?? null,
+  };
+}
+
+/**
+ * Line up two completed analyses section by section. Deltas are `b - a`, so
+ * a positive delta means `b` scores higher. Text diffs turn `a` into `b`.
+ */
+export function compareAnalyses(a, b) {
+  const sections = {};
+
+  for (const section of SECTIONS) {
+    const before = sectionText(a.extractedContent, section);
+    const after = sectionText(b.extractedContent, section);
+    const scoreA = a.scores?.[section] ?? null;
+    const scoreB = b.scores?.[section] ?? null;
+    const mlA = a.mlScores?.[section]?.mlScore ?? null;
+    const mlB = b.mlScores?.[section]?.mlScore ?? null;
+
+    sections[section] = {
+      a: { text: before, scores: scoreA, mlScore: mlA },
+      b: { text: after, scores: scoreB, mlScore: mlB },
+      scoreDelta: delta(scoreA?.score, scoreB?.score),
+      mlScoreDelta: delta(mlA, mlB),
+      changed: before !== after,
+      diff: diffWords(before, after),
+    };
+  }
+
+  const summaryA = summarize(a);
+  const summaryB = summarize(b);
+
+  return {
+    a: summaryA,
+    b: summaryB,
+    overallDelta: delta(summaryA.overall, summaryB.overall),
+    mlOverallDelta: delta(summaryA.mlOverall, summaryB.mlOverall),
+    sections,
+  };
+}
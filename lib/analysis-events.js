@@ -0,0 +1,52 @@
+import { EventEmitter } from 'events';
+import { getCollection } from '@/lib/db';
+
+export const ANALYSIS_STAGES = [
+  'queued',
+  'scraping',
+  'extracting',
+  'ml_scoring',
+  'ai_scoring',
+  'completed',
+  'failed',
+];
+
+export const TERMINAL_STAGES = ['completed', 'failed'];
+
+// Shared on globalThis so the worker and SSE routes see the same emitter
+function getEmitter() {
+  if (!globalThis.__leadboostAnalysisEvents) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    globalThis.__leadboostAnalysisEvents = emitter;
+  }
+  return globalThis.__leadboostAnalysisEvents;
+}
+
+/**
+ * Record a stage transition on the analysis document and notify listeners in
+ * this process. `fields` are extra top-level fields to $set in the same write.
+ */
+export async function setAnalysisStage(analysisId, stage, fields = {}) {
+  const collection = await getCollection('analyses');
+  const at = new Date();
+
+  await collection.updateOne(
+    { _id: analysisId },
+    {
+      $set: { ...fields, stage },
+      $push: { stageHistory: { stage, at } },
+    }
+  );
+
+  getEmitter().emit(analysisId, { analysisId, stage, at });
+}
+
+/**
+ * Listen for stage transitions of one analysis. Returns an unsubscribe function.
+ */
+export function subscribeToAnalysis(analysisId, listener) {
+  const emitter = getEmitter();
+  emitter.on(analysisId, listener);
+  return () => emitter.off(analysisId, listener);
+}
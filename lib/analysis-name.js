@@ -0,0 +1,17 @@
+export const SOURCE_NAMES = { url: 'Live URL', html: 'Pasted HTML', content: 'Manual copy' };
+
+/**
+ * A short display name for an analysis: its label, else the URL's host,
+ * else what kind of pasted copy it was. Safe to use in the browser.
+ */
+export function analysisName(analysis) {
+  if (analysis.label) return analysis.label;
+  if (analysis.url) {
+    try {
+      return new URL(analysis.url).hostname;
+    } catch (e) {
+      return analysis.url;
+    }
+  }
+  return SOURCE_NAMES[analysis.source] || 'Untitled analysis';
+}
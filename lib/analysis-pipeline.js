@@ -0,0 +1,274 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { enqueueJob } from '@/lib/job-queue';
+import { setAnalysisStage } from '@/lib/analysis-events';
+import { scrapeWebsite, extractContent } from '@/lib/scraper';
+import { analyzeContent } from '@/lib/ai-analyzer';
+import { analyzeMl, generateMlPredictions, rankRewrites } from '@/lib/dl-analyzer';
+import { detectPromptInjection } from '@/lib/prompt-safety';
+import { pageIdFor, refreshPage } from '@/lib/pages';
+import { checkForRegression } from '@/lib/monitors';
+import { emitWebhookEvent } from '@/lib/webhooks';
+import { notifyBatchCompleted } from '@/lib/batches';
+import { flagBrandVoice, resolveBrandVoice } from '@/lib/brand-voices';
+
+export const ANALYSIS_JOB = 'analysis';
+export const ANALYSIS_OUTCOME_JOB = 'analysis-outcome';
+
+/**
+ * Build a fresh analysis document. `fields` adds extra top-level fields such
+ * as `batchId`, so every caller produces the same shape. `pageId` groups runs
+ * of the same normalized URL (see lib/pages.js).
+ */
+export function buildAnalysis(url, fields = {}) {
+  return {
+    _id: uuidv4(),
+    url,
+    pageId: pageIdFor(url, fields.workspaceId),
+    status: 'analyzing',
+    // 'url' is scraped; 'html' and 'content' arrive with extractedContent
+    source: 'url',
+    stage: 'queued',
+    stageHistory: [{ stage: 'queued', at: new Date() }],
+    createdAt: new Date(),
+    extractedContent: null,
+    scores: null,
+    explanations: null,
+    rewrites: null,
+    rewriteScores: null,
+    rewriteHistory: [],
+    warnings: [],
+    tags: [],
+    projectId: null,
+    // null uses the workspace default brand voice; `brandVoice` is the
+    // profile actually applied, copied when the AI runs
+    brandVoiceId: null,
+    brandVoice: null,
+    // { audience, industry, pageType, funnelStage } (see lib/scoring-context.js)
+    scoringContext: null,
+    error: null,
+    errorCode: null,
+    attempts: 0,
+    completedAt: null,
+    ...fields,
+  };
+}
+
+/**
+ * Queue an analysis document for processing. The job id is the analysis id,
+ * so queueing the same analysis twice is a no-op.
+ */
+export async function enqueueAnalysis(analysisId, url) {
+  return enqueueJob(ANALYSIS_JOB, { analysisId, url }, { id: analysisId });
+}
+
+/**
+ * Queue the follow-up work for an analysis that reached a final status. It
+ * runs as its own job so a failing webhook or page refresh is retried on its
+ * own instead of re-running (or failing) a finished analysis.
+ */
+async function enqueueOutcome(analysisId) {
+  return enqueueJob(ANALYSIS_OUTCOME_JOB, { analysisId }, { id: `outcome:${analysisId}` });
+}
+
+/**
+ * Run the full pipeline for one analysis. Throws on failure so the job queue
+ * can retry; the document is only marked failed once retries are exhausted.
+ */
+export async function processAnalysis(analysisId, url) {
+  const collection = await getCollection('analyses');
+  const analysis = await collection.findOne(
+    { _id: analysisId },
+    { projection: { llm: 1, extractedContent: 1, workspaceId: 1, brandVoiceId: 1, scoringContext: 1 } }
+  );
+
+  // Content extracted by an earlier attempt, or supplied by the caller (e.g.
+  // the page monitor), is reused instead of scraping again
+  let extractedContent = analysis?.extractedContent;
+
+  if (!extractedContent) {
+    // Step 1: Scrape website
+    console.log(`[${analysisId}] Scraping ${url}...`);
+    await setAnalysisStage(analysisId, 'scraping');
+    const html = await scrapeWebsite(url);
+
+    // Step 2: Extract content
+    console.log(`[${analysisId}] Extracting content...`);
+    await setAnalysisStage(analysisId, 'extracting');
+    extractedContent = extractContent(html);
+  }
+
+  const warnings = detectPromptInjection(extractedContent);
+  const brandVoice = analysis ? await resolveBrandVoice(analysis) : null;
+  const context = analysis?.scoringContext ?? null;
+
+  // Update with extracted content
+  await collection.updateOne(
+    { _id: analysisId },
+    { $set: { extractedContent, warnings, brandVoice } }
+  );
+
+  // Step 3: Parallel ML and AI Analysis. ML is much faster, so once it is done
+  // the remaining wait is on the AI call.
+  console.log(`[${analysisId}] Running ML models and AI analysis in parallel...`);
+  await setAnalysisStage(analysisId, 'ml_scoring');
+  const [mlScores, aiAnalysis] = await Promise.all([
+    analyzeMl(extractedContent, context).then(async (scores) => {
+      await setAnalysisStage(analysisId, 'ai_scoring');
+      return scores;
+    }),
+    analyzeContent(extractedContent, { llm: analysis?.llm, brandVoice, context })
+  ]);
+
+  // Generate ML predictions
+  const mlPredictions = generateMlPredictions(mlScores);
+
+  // Best rewrites first, each with its predicted uplift over the original and
+  // any brand voice word list it breaks
+  const ranked = await rankRewrites(aiAnalysis.rewrites, mlScores, context);
+  const { rewrites } = ranked;
+  const rewriteScores = flagBrandVoice(ranked.rewriteScores, brandVoice);
+
+  if (aiAnalysis.injectionDetected) {
+    warnings.push({
+      code: 'prompt_injection',
+      section: null,
+      message: 'The AI reported that the page content tried to instruct it. Scores may have been manipulated.',
+      excerpt: null,
+    });
+  }
+
+  // Step 4: Update with complete analysis
+  await setAnalysisStage(analysisId, 'completed', {
+    status: 'completed',
+    scores: aiAnalysis.scores,
+    explanations: aiAnalysis.explanations,
+    rewrites,
+    rewriteScores,
+    aiAttempts: aiAnalysis.attempts,
+    warnings,
+    mlScores: mlScores,
+    mlPredictions: mlPredictions,
+    error: null,
+    completedAt: new Date(),
+  });
+
+  await enqueueOutcome(analysisId);
+
+  console.log(`[${analysisId}] Analysis completed successfully`);
+  console.log(`[${analysisId}] ML Score: ${mlScores.overall.mlScore}, AI Score: ${aiAnalysis.scores.overall}`);
+}
+
+/**
+ * Emit `analysis.completed` or `analysis.failed` for an analysis that reached
+ * a final status, and `batch.completed` if it was the last of its batch.
+ */
+async function announceOutcome(analysisId) {
+  const collection = await getCollection('analyses');
+  const analysis = await collection.findOne({ _id: analysisId });
+  if (!analysis || analysis.status === 'analyzing') return;
+
+  const event = analysis.status === 'completed' ? 'analysis.completed' : 'analysis.failed';
+  await emitWebhookEvent(analysis.workspaceId, event, `${event}:${analysisId}`, {
+    analysisId,
+    url: analysis.url,
+    pageId: analysis.pageId ?? null,
+    batchId: analysis.batchId ?? null,
+    crawlId: analysis.crawlId ?? null,
+    status: analysis.status,
+    overall: analysis.scores?.overall ?? null,
+    mlOverall: analysis.mlScores?.overall?.mlScore ?? null,
+    scores: analysis.scores,
+    warnings: analysis.warnings,
+    error: analysis.error,
+    errorCode: analysis.errorCode ?? null,
+    completedAt: analysis.completedAt,
+  });
+
+  if (analysis.batchId) {
+    await notifyBatchCompleted(analysis.batchId);
+  }
+}
+
+export const analysisJobHandler = {
+  async run({ analysisId, url }) {
+    const collection = await getCollection('analyses');
+    const analysis = await collection.findOne({ _id: analysisId }, { projection: { status: 1 } });
+    if (!analysis) {
+      console.log(`[${analysisId}] Analysis was deleted before processing, skipping`);
+      return;
+    }
+
+    // A retry after the report was saved must not scrape and score again
+    if (analysis.status === 'completed') {
+      await enqueueOutcome(analysisId);
+      return;
+    }
+
+    await processAnalysis(analysisId, url);
+  },
+
+  async onRetry({ analysisId }, error, job) {
+    await setAnalysisStage(analysisId, 'queued', {
+      attempts: job.attempts,
+      lastError: error.message,
+    });
+  },
+
+  async onFailure({ analysisId }, error, job) {
+    console.error(`[${analysisId}] Analysis failed after ${job.attempts} attempt(s):`, error);
+
+    const collection = await getCollection('analyses');
+    const analysis = await collection.findOne({ _id: analysisId }, { projection: { status: 1 } });
+    if (!analysis || analysis.status === 'completed') return;
+
+    await setAnalysisStage(analysisId, 'failed', {
+      status: 'failed',
+      attempts: job.attempts,
+      error: error.message,
+      errorCode: error.code || null,
+      completedAt: new Date(),
+    });
+
+    await enqueueOutcome(analysisId);
+  },
+};
+
+/**
+ * Follow-up work once an analysis is final: refresh its page and check for
+ * a regression if it completed, then announce the outcome. Every step is
+ * safe to repeat, so the job can be retried.
+ */
+export const analysisOutcomeJobHandler = {
+  async run({ analysisId }) {
+    const collection = await getCollection('analyses');
+    const analysis = await collection.findOne({ _id: analysisId }, { projection: { status: 1, pageId: 1 } });
+    if (!analysis) return;
+
+    if (analysis.status === 'completed') {
+      await refreshPage(analysis.pageId);
+      await checkForRegression(analysisId);
+    }
+    await announceOutcome(analysisId);
+  },
+};
+
+/**
+ * Re-queue analyses left in `analyzing` without a job, e.g. documents created
+ * before the queue existed. Analyses that already have a job are untouched;
+ * their lease expiry handles recovery.
+ */
+export async function recoverOrphanedAnalyses() {
+  const collection = await getCollection('analyses');
+  const stuck = await collection
+    .find({ status: 'analyzing' }, { projection: { _id: 1, url: 1 } })
+    .toArray();
+
+  for (const analysis of stuck) {
+    await enqueueAnalysis(analysis._id, analysis.url);
+  }
+
+  if (stuck.length > 0) {
+    console.log(`Recovered ${stuck.length} in-flight analysis job(s)`);
+  }
+}
@@ -0,0 +1,120 @@
+import { normalizeTag } from '@/lib/tags';
+
+export const ANALYSIS_STATUSES = ['analyzing', 'completed', 'failed'];
+
+const SORT_FIELDS = { date: 'createdAt', score: 'scores.overall' };
+const MAX_LIMIT = 100;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function readList(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function readScore(value, name) {
+  if (value === null || value === '') return { value: null };
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    return { error: `"${name}" must be a number between 0 and 100` };
+  }
+  return { value: number };
+}
+
+/**
+ * Parse a date bound. A bare `YYYY-MM-DD` as the upper bound covers that
+ * whole day.
+ */
+function readDate(value, name, { endOfDay = false } = {}) {
+  if (!value) return { value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `"${name}" must be an ISO date` };
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return { value: date };
+}
+
+/**
+ * Turn `GET /api/analyze` query parameters into a Mongo filter, sort and
+ * pagination for one workspace:
+ *
+ * - `q`: substring of the URL (e.g. a domain) or label, case-insensitive
+ * - `status`: comma-separated statuses
+ * - `minScore` / `maxScore`: overall AI score range (completed analyses)
+ * - `from` / `to`: creation date range
+ * - `tags`: comma-separated; analyses must have all of them
+ * - `project`: a project id, or `none` for analyses outside any project
+ * - `sort`: `date` (default) or `score`; `order`: `desc` (default) or `asc`
+ *
+ * Returns `{ filter, sort, page, limit, skip }` or `{ error }`.
+ */
+export function parseAnalysisQuery(searchParams, workspaceId) {
+  const page = Math.max(1, parseInt(searchParams.get('page') || '1') || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(searchParams.get('limit') || '10') || 10));
+  const filter = { workspaceId };
+
+  const q = (searchParams.get('q') || '').trim();
+  if (q) {
+    const pattern = { $regex: escapeRegExp(q), $options: 'i' };
+    filter.$or = [{ url: pattern }, { label: pattern }];
+  }
+
+  const statuses = readList(searchParams.get('status'));
+  const unknownStatus = statuses.find((status) => !ANALYSIS_STATUSES.includes(status));
+  if (unknownStatus) {
+    return { error: `"status" must be one of: ${ANALYSIS_STATUSES.join(', ')}` };
+  }
+  if (statuses.length > 0) filter.status = { $in: statuses };
+
+  const minScore = readScore(searchParams.get('minScore'), 'minScore');
+  const maxScore = readScore(searchParams.get('maxScore'), 'maxScore');
+  const from = readDate(searchParams.get('from'), 'from');
+  const to = readDate(searchParams.get('to'), 'to', { endOfDay: true });
+  const boundError = minScore.error || maxScore.error || from.error || to.error;
+  if (boundError) return { error: boundError };
+
+  if (minScore.value !== null || maxScore.value !== null) {
+    filter['scores.overall'] = {
+      ...(minScore.value !== null && { $gte: minScore.value }),
+      ...(maxScore.value !== null && { $lte: maxScore.value }),
+    };
+  }
+  if (from.value || to.value) {
+    filter.createdAt = {
+      ...(from.value && { $gte: from.value }),
+      ...(to.value && { $lte: to.value }),
+    };
+  }
+
+  const tags = readList(searchParams.get('tags'));
+  if (tags.length > 0) filter.tags = { $all: tags.map(normalizeTag) };
+
+  const project = searchParams.get('project');
+  if (project) filter.projectId = project === 'none' ? null : project;
+
+  const sortBy = searchParams.get('sort') || 'date';
+  const order = searchParams.get('order') || 'desc';
+  if (!SORT_FIELDS[sortBy]) {
+    return { error: `"sort" must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: '"order" must be asc or desc' };
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  // Break ties so that paging is stable
+  const sort =
+    sortBy === 'score'
+      ? { 'scores.overall': direction, createdAt: -1, _id: 1 }
+      : { createdAt: direction, _id: direction };
+
+  return { filter, sort, page, limit, skip: (page - 1) * limit };
+}
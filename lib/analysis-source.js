@@ -0,0 +1,124 @@
+import { extractContent } from '@/lib/scraper';
+import { assertUrlAllowed } from '@/lib/network-policy';
+
+export const ANALYSIS_SOURCES = ['url', 'html', 'content'];
+
+const MAX_HTML_BYTES = parseInt(process.env.SCRAPE_MAX_BYTES || String(2 * 1024 * 1024));
+const MAX_LABEL_LENGTH = 200;
+const MAX_CTAS = 5;
+
+// Same caps extractContent applies to scraped pages
+const CONTENT_LIMITS = { headline: 300, subheadline: 500, cta: 100, bodyCopy: 800 };
+
+function readText(value, name) {
+  if (value === undefined || value === null) return { value: '' };
+  if (typeof value !== 'string') return { error: `"content.${name}" must be a string` };
+  const trimmed = value.trim();
+  if (trimmed.length > CONTENT_LIMITS[name]) {
+    return { error: `"content.${name}" must be at most ${CONTENT_LIMITS[name]} characters` };
+  }
+  return { value: trimmed };
+}
+
+/**
+ * Validate copy given section by section. `cta` is a string or a list of up
+ * to five. Missing sections get the same placeholders extractContent uses,
+ * so the scorers see the shape they always see. Returns
+ * `{ extractedContent }` or `{ error }`.
+ */
+export function validateContent(content) {
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return { error: '"content" must be an object with headline, subheadline, cta and bodyCopy' };
+  }
+
+  const headline = readText(content.headline, 'headline');
+  const subheadline = readText(content.subheadline, 'subheadline');
+  const bodyCopy = readText(content.bodyCopy, 'bodyCopy');
+  const textError = headline.error || subheadline.error || bodyCopy.error;
+  if (textError) return { error: textError };
+
+  const rawCtas = content.cta === undefined || content.cta === null ? [] : [content.cta].flat();
+  if (rawCtas.some((cta) => typeof cta !== 'string')) {
+    return { error: '"content.cta" must be a string or an array of strings' };
+  }
+  const cta = rawCtas.map((text) => text.trim()).filter(Boolean);
+  if (cta.length > MAX_CTAS) return { error: `"content.cta" can list at most ${MAX_CTAS} calls-to-action` };
+  if (cta.some((text) => text.length > CONTENT_LIMITS.cta)) {
+    return { error: `Each call-to-action must be at most ${CONTENT_LIMITS.cta} characters` };
+  }
+
+  if (!headline.value && !subheadline.value && cta.length === 0 && !bodyCopy.value) {
+    return { error: '"content" must include at least one section' };
+  }
+
+  return {
+    extractedContent: {
+      headline: headline.value || 'No headline found',
+      subheadline: subheadline.value || 'No subheadline found',
+      cta: cta.length > 0 ? cta : ['No CTA found'],
+      bodyCopy: bodyCopy.value || 'No body content found',
+    },
+  };
+}
+
+/**
+ * A URL that is recorded but never fetched (e.g. a staging page behind a
+ * VPN), so only its format is checked, not the network policy.
+ */
+function readReferenceUrl(url) {
+  if (url === undefined || url === null || url === '') return { url: null };
+  try {
+    const parsed = new URL(url);
+    if (['http:', 'https:'].includes(parsed.protocol)) return { url: parsed.toString() };
+  } catch (e) {
+    // Fall through
+  }
+  return { error: '"url" must be an http(s) URL' };
+}
+
+/**
+ * Work out what `POST /api/analyze` should score. Exactly one of:
+ *
+ * - `url`: fetched and extracted by the worker
+ * - `html`: a pasted page, extracted here; `url` may name where it will live
+ * - `content`: `{ headline, subheadline, cta, bodyCopy }` given directly
+ *
+ * Returns `{ source, url, label, extractedContent }` (`extractedContent` is
+ * null for `url`) or `{ error, code? }`.
+ */
+export function readAnalysisSource(body) {
+  const given = ['html', 'content'].filter((field) => body[field] !== undefined && body[field] !== null);
+  if (given.length > 1) {
+    return { error: 'Send either "html" or "content", not both' };
+  }
+
+  const label = typeof body.label === 'string' ? body.label.trim().slice(0, MAX_LABEL_LENGTH) || null : null;
+  const source = given[0] || 'url';
+
+  if (source === 'url') {
+    if (!body.url) return { error: '"url", "html" or "content" is required' };
+    try {
+      assertUrlAllowed(body.url);
+    } catch (e) {
+      return { error: e.message, code: e.code };
+    }
+    return { source, url: body.url, label, extractedContent: null };
+  }
+
+  const { url, error: urlError } = readReferenceUrl(body.url);
+  if (urlError) return { error: urlError };
+
+  if (source === 'html') {
+    if (typeof body.html !== 'string' || !body.html.trim()) {
+      return { error: '"html" must be a non-empty string' };
+    }
+    if (Buffer.byteLength(body.html) > MAX_HTML_BYTES) {
+      return { error: `"html" must be at most ${MAX_HTML_BYTES} bytes` };
+    }
+    return { source, url, label, extractedContent: extractContent(body.html) };
+  }
+
+  const { extractedContent, error } = validateContent(body.content);
+  if (error) return { error };
+  return { source, url, label, extractedContent };
+}
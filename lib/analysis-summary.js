@@ -0,0 +1,50 @@
+export const SECTIONS = ['headline', 'subheadline', 'cta', 'bodyCopy'];
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Aggregate progress and score statistics over a group of analyses (a batch
+ * or a crawl).
+ */
+export function summarizeAnalyses(items) {
+  const completed = items.filter((item) => item.status === 'completed');
+  const failed = items.filter((item) => item.status === 'failed');
+  const analyzing = items.length - completed.length - failed.length;
+
+  const scored = completed.filter((item) => typeof item.scores?.overall === 'number');
+  const ranked = [...scored].sort((a, b) => b.scores.overall - a.scores.overall);
+  const pick = (item) =>
+    item ? { analysisId: item._id, url: item.url, label: item.label, score: item.scores.overall } : null;
+
+  const sections = {};
+  for (const section of SECTIONS) {
+    sections[section] = average(
+      scored.map((item) => item.scores[section]?.score).filter((score) => typeof score === 'number')
+    );
+  }
+
+  return {
+    status: analyzing > 0 ? 'analyzing' : failed.length === items.length ? 'failed' : 'completed',
+    progress: {
+      total: items.length,
+      completed: completed.length,
+      failed: failed.length,
+      analyzing,
+      percent: items.length ? Math.round(((completed.length + failed.length) / items.length) * 100) : 100,
+    },
+    scoreSummary: {
+      averageOverall: average(scored.map((item) => item.scores.overall)),
+      averageMlOverall: average(
+        scored.map((item) => item.mlScores?.overall?.mlScore).filter((score) => typeof score === 'number')
+      ),
+      minOverall: ranked.length ? ranked[ranked.length - 1].scores.overall : null,
+      maxOverall: ranked.length ? ranked[0].scores.overall : null,
+      sections,
+      best: pick(ranked[0]),
+      worst: pick(ranked[ranked.length - 1]),
+    },
+  };
+}
@@ -0,0 +1,234 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { NextResponse } from 'next/server';
+import { getCollection } from '@/lib/db';
+import { takeToken } from '@/lib/rate-limit';
+import { getMembership, ROLE_SCOPES } from '@/lib/workspaces';
+
+export const API_SCOPES = ['read', 'analyze', 'delete', 'admin'];
+
+export const SESSION_COOKIE = 'leadboost_session';
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '12');
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken(type) {
+  return `${type === 'session' ? 'lbs' : 'lb'}_${randomBytes(24).toString('base64url')}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Validate requested scopes. Returns `{ scopes }` or `{ error }`.
+ */
+export function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: `"scopes" must list at least one of: ${API_SCOPES.join(', ')}` };
+  }
+  const unknown = scopes.filter((scope) => !API_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return { error: `Unknown scope(s): ${unknown.join(', ')}` };
+  }
+  return { scopes: [...new Set(scopes)] };
+}
+
+/**
+ * Keys as returned by the API: never the hash, and the token itself only
+ * once, from createApiKey.
+ */
+export function publicApiKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+/**
+ * Create an API key for a workspace (or a dashboard session when `type` is
+ * 'session'). Only the SHA-256 hash is stored. Returns `{ key, token }`.
+ */
+export async function createApiKey({
+  name,
+  scopes,
+  workspaceId,
+  userId = null,
+  type = 'api',
+  expiresAt = null,
+  rateLimit = null,
+}) {
+  const keys = await getCollection('api_keys');
+  const token = generateToken(type);
+
+  const key = {
+    _id: uuidv4(),
+    type,
+    name: name || null,
+    prefix: token.slice(0, 10),
+    hash: hashToken(token),
+    workspaceId,
+    userId,
+    scopes,
+    rateLimit,
+    createdAt: new Date(),
+    expiresAt,
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  await keys.insertOne(key);
+  return { key, token };
+}
+
+/**
+ * Sign a user in to one of their workspaces. Session scopes are not stored;
+ * they follow the user's role in the active workspace on every request.
+ */
+export async function createSession(userId, workspaceId) {
+  return createApiKey({
+    name: 'Dashboard session',
+    type: 'session',
+    scopes: [],
+    workspaceId,
+    userId,
+    expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000),
+  });
+}
+
+export async function revokeApiKey(keyId, workspaceId) {
+  const keys = await getCollection('api_keys');
+  const result = await keys.updateOne(
+    { _id: keyId, workspaceId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * The credential sent with a request: `Authorization: Bearer <key>`, an
+ * `X-API-Key` header, or the dashboard session cookie.
+ */
+export function readRequestToken(request) {
+  const authorization = request.headers.get('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+
+  const header = request.headers.get('x-api-key');
+  if (header) return header.trim();
+
+  return request.cookies?.get(SESSION_COOKIE)?.value || null;
+}
+
+/**
+ * Resolve a token to its key document, or null if it is unknown, revoked or
+ * expired. `ADMIN_API_KEY` from the environment is accepted with all scopes
+ * so the first real keys can be created.
+ */
+export async function findApiKey(token) {
+  if (!token) return null;
+
+  if (ADMIN_API_KEY && safeEqual(hashToken(token), hashToken(ADMIN_API_KEY))) {
+    return { _id: 'admin', type: 'admin', name: 'ADMIN_API_KEY', workspaceId: null, scopes: API_SCOPES, rateLimit: null };
+  }
+
+  const keys = await getCollection('api_keys');
+  const key = await keys.findOne({ hash: hashToken(token) });
+  if (!key || key.revokedAt || (key.expiresAt && key.expiresAt < new Date())) return null;
+
+  keys
+    .updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date() } })
+    .catch((error) => console.error('Failed to record API key use:', error.message));
+
+  return key;
+}
+
+function denied(status, code, error, headers = {}) {
+  return NextResponse.json({ error, code }, { status, headers });
+}
+
+/**
+ * Identify the caller. Returns `{ key }`, or `{ response }` with a 401 when
+ * the credential is missing or invalid.
+ */
+export async function authenticate(request) {
+  const key = await findApiKey(readRequestToken(request));
+  if (key) return { key };
+
+  return {
+    response: denied(401, 'UNAUTHORIZED', 'A valid API key is required', {
+      'WWW-Authenticate': 'Bearer realm="leadboost"',
+    }),
+  };
+}
+
+/**
+ * Workspace and scopes a key acts with. API keys belong to one workspace;
+ * sessions take the user's current role there; the admin key may pick any
+ * workspace with `X-Workspace-Id`.
+ */
+async function resolveAccess(request, key) {
+  if (key.type === 'admin') {
+    return { workspaceId: request.headers.get('x-workspace-id') || null, userId: null, role: null, scopes: key.scopes };
+  }
+
+  if (key.type === 'session') {
+    const membership = await getMembership(key.workspaceId, key.userId);
+    return {
+      workspaceId: membership ? key.workspaceId : null,
+      userId: key.userId,
+      role: membership?.role ?? null,
+      scopes: membership ? ROLE_SCOPES[membership.role] : [],
+    };
+  }
+
+  return { workspaceId: key.workspaceId, userId: null, role: null, scopes: key.scopes };
+}
+
+/**
+ * Authenticate a request, check it has `scope` in a workspace and charge its
+ * rate limit. Returns `{ key, workspaceId, userId, role }` to continue, or
+ * `{ response }` (401, 403 or 429) to send back as is:
+ *
+ *   const auth = await authorize(request, 'read');
+ *   if (auth.response) return auth.response;
+ *
+ * Handlers must limit every query to `auth.workspaceId`.
+ */
+export async function authorize(request, scope) {
+  const { key, response } = await authenticate(request);
+  if (response) return { response };
+
+  const access = await resolveAccess(request, key);
+
+  if (!access.workspaceId) {
+    return {
+      response: denied(
+        403,
+        'NO_WORKSPACE',
+        key.type === 'admin' ? 'Send an X-Workspace-Id header to act in a workspace' : 'You are not a member of this workspace'
+      ),
+    };
+  }
+
+  if (!access.scopes.includes(scope)) {
+    return { response: denied(403, 'FORBIDDEN', `This API key does not have the "${scope}" scope`) };
+  }
+
+  const limit = takeToken(key._id, key.rateLimit || undefined);
+  if (!limit.allowed) {
+    return {
+      response: denied(429, 'RATE_LIMITED', 'Rate limit exceeded', {
+        'Retry-After': String(limit.retryAfterSeconds),
+        'X-RateLimit-Limit': String(limit.limit),
+        'X-RateLimit-Remaining': '0',
+      }),
+    };
+  }
+
+  return { key, ...access };
+}
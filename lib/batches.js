@@ -0,0 +1,154 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { parseCsv } from '@/lib/csv';
+import { buildAnalysis, enqueueAnalysis } from '@/lib/analysis-pipeline';
+import { assertUrlAllowed } from '@/lib/network-policy';
+import { summarizeAnalyses } from '@/lib/analysis-summary';
+import { emitWebhookEvent } from '@/lib/webhooks';
+
+export const MAX_BATCH_SIZE = parseInt(process.env.BATCH_MAX_URLS || '200');
+
+/**
+ * Turn CSV text into `{ url, label }` items. A header row with a `url`
+ * column is optional; without one the first column is the URL and the
+ * second the label.
+ */
+export function itemsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((value) => value.toLowerCase());
+  let urlIndex = header.indexOf('url');
+  let labelIndex = header.indexOf('label');
+  let dataRows = rows.slice(1);
+
+  if (urlIndex === -1) {
+    urlIndex = 0;
+    labelIndex = 1;
+    dataRows = rows;
+  }
+
+  return dataRows.map((row) => ({
+    url: row[urlIndex],
+    label: labelIndex >= 0 ? row[labelIndex] || null : null,
+  }));
+}
+
+/**
+ * Split raw items into valid, de-duplicated entries and rejected ones with a reason.
+ */
+export function validateBatchItems(items) {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const url = typeof item?.url === 'string' ? item.url.trim() : '';
+
+    if (!url) {
+      rejected.push({ url: item?.url ?? null, reason: 'URL is required' });
+      continue;
+    }
+
+    try {
+      assertUrlAllowed(url);
+    } catch (e) {
+      rejected.push({ url, reason: e.message, code: e.code });
+      continue;
+    }
+
+    if (seen.has(url)) {
+      rejected.push({ url, reason: 'Duplicate URL' });
+      continue;
+    }
+
+    seen.add(url);
+    accepted.push({ url, label: item.label ? String(item.label).trim() : null });
+  }
+
+  return { accepted, rejected };
+}
+
+/**
+ * Create the batch record plus one regular analysis per item and queue them.
+ */
+export async function createBatch(items, { workspaceId, name = null, llm = null }) {
+  const batchId = uuidv4();
+  const batches = await getCollection('batches');
+  const analyses = await getCollection('analyses');
+
+  const documents = items.map((item) =>
+    buildAnalysis(item.url, { workspaceId, batchId, label: item.label, llm })
+  );
+
+  await batches.insertOne({
+    _id: batchId,
+    workspaceId,
+    name,
+    llm,
+    total: documents.length,
+    createdAt: new Date(),
+  });
+  await analyses.insertMany(documents);
+
+  for (const analysis of documents) {
+    await enqueueAnalysis(analysis._id, analysis.url);
+  }
+
+  return { batchId, analysisIds: documents.map((analysis) => analysis._id) };
+}
+
+/**
+ * Load a batch with its analyses and aggregate summary, or null if it does
+ * not exist in the workspace.
+ */
+export async function getBatchReport(batchId, workspaceId) {
+  const batches = await getCollection('batches');
+  const batch = await batches.findOne({ _id: batchId, workspaceId });
+  if (!batch) return null;
+
+  const analyses = await getCollection('analyses');
+  const items = await analyses
+    .find({ batchId })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  return {
+    ...batch,
+    ...summarizeAnalyses(items),
+    analyses: items.map((item) => ({
+      _id: item._id,
+      url: item.url,
+      label: item.label,
+      status: item.status,
+      stage: item.stage,
+      error: item.error,
+      overall: item.scores?.overall ?? null,
+      mlOverall: item.mlScores?.overall?.mlScore ?? null,
+      completedAt: item.completedAt,
+    })),
+  };
+}
+
+/**
+ * Emit `batch.completed` once no analysis of the batch is still running.
+ * Concurrent callers share an event id, so it is delivered once.
+ */
+export async function notifyBatchCompleted(batchId) {
+  const analyses = await getCollection('analyses');
+  const running = await analyses.countDocuments({ batchId, status: 'analyzing' }, { limit: 1 });
+  if (running) return;
+
+  const batches = await getCollection('batches');
+  const batch = await batches.findOne({ _id: batchId }, { projection: { workspaceId: 1 } });
+  const report = batch && (await getBatchReport(batchId, batch.workspaceId));
+  if (!report) return;
+
+  await emitWebhookEvent(report.workspaceId, 'batch.completed', `batch.completed:${batchId}`, {
+    batchId,
+    name: report.name,
+    status: report.status,
+    progress: report.progress,
+    scoreSummary: report.scoreSummary,
+  });
+}
@@ -0,0 +1,180 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { getWorkspace } from '@/lib/workspaces';
+import { containsTerm } from '@/lib/rewrite-constraints';
+
+// `brandVoiceId` of an analysis that should not use the workspace default
+export const NO_BRAND_VOICE = 'none';
+
+// [field, max entries, max length of each]
+const LIST_FIELDS = [
+  ['tone', 10, 40],
+  ['bannedWords', 50, 50],
+  ['requiredTerms', 20, 50],
+  ['examples', 5, 1000],
+];
+
+// US school grades, as in Flesch-Kincaid
+const MIN_READING_LEVEL = 1;
+const MAX_READING_LEVEL = 16;
+
+function readList(value, [name, maxEntries, maxLength]) {
+  if (!Array.isArray(value) || value.some((entry) => typeof entry !== 'string')) {
+    return { error: `"${name}" must be an array of strings` };
+  }
+
+  const entries = [...new Set(value.map((entry) => entry.trim()).filter(Boolean))];
+  if (entries.length > maxEntries) return { error: `"${name}" can list at most ${maxEntries} entries` };
+  if (entries.some((entry) => entry.length > maxLength)) {
+    return { error: `Each entry of "${name}" must be at most ${maxLength} characters` };
+  }
+  return { entries };
+}
+
+/**
+ * Validate brand voice fields:
+ *
+ * - `name`
+ * - `tone`: descriptors such as "friendly" or "no hype"
+ * - `bannedWords`: words or phrases rewrites must not use
+ * - `requiredTerms`: terminology rewrites should use, e.g. product names
+ * - `readingLevel`: target grade (1-16) or null
+ * - `examples`: on-brand copy for the model to imitate
+ *
+ * With `partial`, only the fields present are checked (for PATCH). Returns
+ * `{ fields }` or `{ error }`.
+ */
+export function validateBrandVoiceFields(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const trimmed = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!trimmed) return { error: '"name" is required' };
+    if (trimmed.length > 100) return { error: '"name" must be at most 100 characters' };
+    fields.name = trimmed;
+  }
+
+  for (const spec of LIST_FIELDS) {
+    const [name] = spec;
+    if (body[name] === undefined && partial) continue;
+
+    const { entries, error } = readList(body[name] ?? [], spec);
+    if (error) return { error };
+    fields[name] = entries;
+  }
+
+  if (body.readingLevel !== undefined || !partial) {
+    const level = body.readingLevel ?? null;
+    if (level !== null && (!Number.isInteger(level) || level < MIN_READING_LEVEL || level > MAX_READING_LEVEL)) {
+      return { error: `"readingLevel" must be a grade from ${MIN_READING_LEVEL} to ${MAX_READING_LEVEL}, or null` };
+    }
+    fields.readingLevel = level;
+  }
+
+  const banned = new Set((fields.bannedWords || []).map((word) => word.toLowerCase()));
+  const clash = (fields.requiredTerms || []).find((term) => banned.has(term.toLowerCase()));
+  if (clash) return { error: `"${clash}" cannot be both required and banned` };
+
+  return { fields };
+}
+
+export async function createBrandVoice(workspaceId, fields, createdBy = null) {
+  const brandVoices = await getCollection('brand_voices');
+  const brandVoice = {
+    _id: uuidv4(),
+    workspaceId,
+    ...fields,
+    createdBy,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  await brandVoices.insertOne(brandVoice);
+  return brandVoice;
+}
+
+export async function getBrandVoice(brandVoiceId, workspaceId) {
+  const brandVoices = await getCollection('brand_voices');
+  return brandVoices.findOne({ _id: brandVoiceId, workspaceId });
+}
+
+export async function listBrandVoices(workspaceId) {
+  const brandVoices = await getCollection('brand_voices');
+  return brandVoices.find({ workspaceId }).sort({ name: 1 }).toArray();
+}
+
+export async function updateBrandVoice(brandVoiceId, workspaceId, fields) {
+  const brandVoices = await getCollection('brand_voices');
+  return brandVoices.findOneAndUpdate(
+    { _id: brandVoiceId, workspaceId },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Delete a brand voice. If it was the workspace default, the workspace is
+ * left without one. Analyses keep the copy of the profile they were run with.
+ */
+export async function deleteBrandVoice(brandVoiceId, workspaceId) {
+  const brandVoices = await getCollection('brand_voices');
+  const deleted = await brandVoices.findOneAndDelete({ _id: brandVoiceId, workspaceId });
+  if (!deleted) return false;
+
+  const workspaces = await getCollection('workspaces');
+  await workspaces.updateOne(
+    { _id: workspaceId, defaultBrandVoiceId: brandVoiceId },
+    { $set: { defaultBrandVoiceId: null } }
+  );
+  return true;
+}
+
+/**
+ * The brand voice an analysis runs with, as a copy stored on the analysis so
+ * later edits to the profile do not change what its report was held to.
+ * That is the profile in `brandVoiceId` (null if it has been deleted), or
+ * without one the workspace default. `NO_BRAND_VOICE` opts out of both.
+ */
+export async function resolveBrandVoice({ workspaceId, brandVoiceId }) {
+  if (brandVoiceId === NO_BRAND_VOICE) return null;
+
+  let profile = brandVoiceId ? await getBrandVoice(brandVoiceId, workspaceId) : null;
+  if (!profile && !brandVoiceId) {
+    const workspace = await getWorkspace(workspaceId);
+    if (workspace?.defaultBrandVoiceId) profile = await getBrandVoice(workspace.defaultBrandVoiceId, workspaceId);
+  }
+  if (!profile) return null;
+
+  const { _id, name, tone, bannedWords, requiredTerms, readingLevel, examples } = profile;
+  return { _id, name, tone, bannedWords, requiredTerms, readingLevel, examples };
+}
+
+/**
+ * Where `text` departs from the brand voice word lists, one readable line
+ * each: banned words it uses and required terms it leaves out.
+ */
+export function brandVoiceViolations(text, brandVoice) {
+  const violations = [];
+  for (const word of brandVoice.bannedWords) {
+    if (containsTerm(text, word)) violations.push(`uses the banned word "${word}"`);
+  }
+  for (const term of brandVoice.requiredTerms) {
+    if (!containsTerm(text, term)) violations.push(`does not use "${term}"`);
+  }
+  return violations;
+}
+
+/**
+ * Add `brandVoiceViolations` to every entry of `rewriteScores` (see
+ * rankRewrites). Without a brand voice the scores are returned unchanged.
+ */
+export function flagBrandVoice(rewriteScores, brandVoice) {
+  if (!brandVoice) return rewriteScores;
+
+  return Object.fromEntries(
+    Object.entries(rewriteScores).map(([section, entries]) => [
+      section,
+      entries.map((entry) => ({ ...entry, brandVoiceViolations: brandVoiceViolations(entry.text, brandVoice) })),
+    ])
+  );
+}
@@ -0,0 +1,215 @@
+import * as cheerio from 'cheerio';
+import { safeFetch } from '@/lib/network-policy';
+
+export const CRAWLER_USER_AGENT = 'LeadBoostBot/1.0';
+
+const MAX_SITEMAPS = 10;
+
+// Links to these are assets, not landing pages
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|txt|zip|gz|mp4|mp3|woff2?|ttf|eot)$/i;
+
+/**
+ * Parse robots.txt into the rules that apply to our crawler: the group for
+ * `LeadBoostBot` if present, otherwise the `*` group. Also returns every
+ * `Sitemap:` URL.
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (current && (field === 'allow' || field === 'disallow')) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+
+  const ourAgent = CRAWLER_USER_AGENT.split('/')[0].toLowerCase();
+  const group =
+    groups.find((g) => g.agents.some((agent) => agent !== '*' && ourAgent.includes(agent))) ||
+    groups.find((g) => g.agents.includes('*'));
+
+  return { rules: group ? group.rules.filter((rule) => rule.path) : [], sitemaps };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function ruleMatches(rulePath, path) {
+  // Support the common `*` wildcard and `$` end anchor
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(escapeRegExp)
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * The longest matching rule wins; allow wins ties. No match means allowed.
+ */
+export function isAllowedByRobots(url, rules) {
+  const { pathname, search } = new URL(url);
+  const path = pathname + search;
+
+  let best = null;
+  for (const rule of rules) {
+    if (!ruleMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Normalize a link for de-duplication: absolute, no fragment, same origin only.
+ * Returns null for links we should not crawl.
+ */
+function normalizeLink(href, base, origin) {
+  let url;
+  try {
+    url = new URL(href, base);
+  } catch (e) {
+    return null;
+  }
+
+  if (url.origin !== origin) return null;
+  if (SKIPPED_EXTENSIONS.test(url.pathname)) return null;
+
+  url.hash = '';
+  return url.toString();
+}
+
+async function fetchText(url, contentTypes) {
+  try {
+    const response = await safeFetch(url, {
+      contentTypes,
+      headers: { 'User-Agent': CRAWLER_USER_AGENT },
+    });
+    return response.status >= 200 && response.status < 300 ? response.body : null;
+  } catch (error) {
+    console.warn(`Crawler could not fetch ${url}:`, error.message);
+    return null;
+  }
+}
+
+async function readSitemaps(sitemapUrls, origin) {
+  const pages = [];
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+
+  while (queue.length > 0 && seen.size < MAX_SITEMAPS) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    const xml = await fetchText(sitemapUrl, ['application/xml', 'text/xml', 'text/plain']);
+    if (!xml) continue;
+
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    // A sitemap index points at further sitemaps
+    $('sitemapindex > sitemap > loc').each((i, elem) => {
+      queue.push($(elem).text().trim());
+    });
+
+    $('urlset > url > loc').each((i, elem) => {
+      const link = normalizeLink($(elem).text().trim(), origin, origin);
+      if (link) pages.push(link);
+    });
+  }
+
+  return pages;
+}
+
+async function followLinks(rootUrl, origin, { maxDepth, maxPages, rules }) {
+  const pages = [];
+  const seen = new Set([rootUrl]);
+  let frontier = [rootUrl];
+
+  for (let depth = 0; depth <= maxDepth && frontier.length > 0 && pages.length < maxPages; depth++) {
+    const next = [];
+
+    for (const pageUrl of frontier) {
+      if (pages.length >= maxPages) break;
+
+      pages.push(pageUrl);
+      if (depth === maxDepth) continue;
+
+      const html = await fetchText(pageUrl);
+      if (!html) continue;
+
+      const $ = cheerio.load(html);
+      $('a[href]').each((i, elem) => {
+        const link = normalizeLink($(elem).attr('href'), pageUrl, origin);
+        if (link && !seen.has(link) && isAllowedByRobots(link, rules)) {
+          seen.add(link);
+          next.push(link);
+        }
+      });
+    }
+
+    frontier = next;
+  }
+
+  return pages;
+}
+
+/**
+ * Find up to `maxPages` same-origin pages starting at `rootUrl`. Uses the
+ * site's sitemap when it has one, otherwise follows links breadth-first up
+ * to `maxDepth` clicks from the root. robots.txt is honoured either way.
+ */
+export async function discoverPages(rootUrl, { maxDepth, maxPages }) {
+  const root = new URL(rootUrl);
+  root.hash = '';
+  const origin = root.origin;
+
+  const robotsTxt = await fetchText(`${origin}/robots.txt`, ['text/plain']);
+  const { rules, sitemaps } = parseRobotsTxt(robotsTxt);
+
+  if (!isAllowedByRobots(root.toString(), rules)) {
+    const error = new Error('robots.txt disallows crawling the root URL');
+    error.retryable = false;
+    throw error;
+  }
+
+  const sitemapPages = await readSitemaps(sitemaps.length > 0 ? sitemaps : [`${origin}/sitemap.xml`], origin);
+
+  if (sitemapPages.length > 0) {
+    const pages = [root.toString(), ...sitemapPages].filter((url) => isAllowedByRobots(url, rules));
+    return { source: 'sitemap', pages: [...new Set(pages)].slice(0, maxPages) };
+  }
+
+  return {
+    source: 'links',
+    pages: await followLinks(root.toString(), origin, { maxDepth, maxPages, rules }),
+  };
+}
@@ -0,0 +1,148 @@
+import { v4 as uuidv4, v5 as uuidv5 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { enqueueJob } from '@/lib/job-queue';
+import { buildAnalysis, enqueueAnalysis } from '@/lib/analysis-pipeline';
+import { discoverPages } from '@/lib/crawler';
+import { summarizeAnalyses, SECTIONS } from '@/lib/analysis-summary';
+import { normalizePageUrl } from '@/lib/pages';
+
+export const CRAWL_JOB = 'crawl';
+
+export const CRAWL_LIMITS = {
+  maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || '3'),
+  maxPages: parseInt(process.env.CRAWL_MAX_PAGES || '50'),
+};
+
+const WEAKEST_PAGES_SHOWN = 10;
+
+/**
+ * Record a crawl and queue page discovery. Analyses are created by the crawl
+ * job once the pages are known.
+ */
+export async function createCrawl(rootUrl, { workspaceId, maxDepth, maxPages, llm = null }) {
+  const crawls = await getCollection('crawls');
+  const crawlId = uuidv4();
+
+  await crawls.insertOne({
+    _id: crawlId,
+    workspaceId,
+    rootUrl,
+    maxDepth,
+    maxPages,
+    llm,
+    status: 'discovering',
+    source: null,
+    pageCount: 0,
+    error: null,
+    createdAt: new Date(),
+  });
+
+  await enqueueJob(CRAWL_JOB, { crawlId }, { id: `crawl:${crawlId}` });
+
+  return crawlId;
+}
+
+export const crawlJobHandler = {
+  async run({ crawlId }) {
+    const crawls = await getCollection('crawls');
+    const crawl = await crawls.findOne({ _id: crawlId });
+    if (!crawl) return;
+
+    // A retried job must not queue the same pages twice
+    if (crawl.status !== 'discovering') return;
+
+    console.log(`[crawl ${crawlId}] Discovering pages from ${crawl.rootUrl}...`);
+    const { source, pages } = await discoverPages(crawl.rootUrl, {
+      maxDepth: crawl.maxDepth,
+      maxPages: crawl.maxPages,
+    });
+
+    // Ids derived from the crawl and page make a retry after a crash upsert
+    // the same analyses instead of adding every page again
+    const analyses = await getCollection('analyses');
+    const documents = pages.map((url) =>
+      buildAnalysis(url, {
+        _id: uuidv5(normalizePageUrl(url), crawlId),
+        workspaceId: crawl.workspaceId,
+        crawlId,
+        llm: crawl.llm,
+      })
+    );
+    if (documents.length > 0) {
+      await analyses.bulkWrite(
+        documents.map((analysis) => ({
+          updateOne: { filter: { _id: analysis._id }, update: { $setOnInsert: analysis }, upsert: true },
+        })),
+        { ordered: false }
+      );
+    }
+
+    await crawls.updateOne(
+      { _id: crawlId },
+      { $set: { status: 'analyzing', source, pageCount: await analyses.countDocuments({ crawlId }) } }
+    );
+
+    for (const analysis of documents) {
+      await enqueueAnalysis(analysis._id, analysis.url);
+    }
+
+    console.log(`[crawl ${crawlId}] Queued ${documents.length} page(s) from ${source}`);
+  },
+
+  async onFailure({ crawlId }, error) {
+    const crawls = await getCollection('crawls');
+    await crawls.updateOne(
+      { _id: crawlId },
+      { $set: { status: 'failed', error: error.message } }
+    );
+  },
+};
+
+/**
+ * Site-level report: progress, average section scores across pages and the
+ * weakest pages first. Returns null if the crawl does not exist in the
+ * workspace.
+ */
+export async function getCrawlReport(crawlId, workspaceId) {
+  const crawls = await getCollection('crawls');
+  const crawl = await crawls.findOne({ _id: crawlId, workspaceId });
+  if (!crawl) return null;
+
+  const analyses = await getCollection('analyses');
+  const items = await analyses
+    .find({ crawlId })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const summary = summarizeAnalyses(items);
+
+  const weakestPages = items
+    .filter((item) => item.status === 'completed' && typeof item.scores?.overall === 'number')
+    .sort((a, b) => a.scores.overall - b.scores.overall)
+    .slice(0, WEAKEST_PAGES_SHOWN)
+    .map((item) => ({
+      analysisId: item._id,
+      url: item.url,
+      headline: item.extractedContent?.headline ?? null,
+      overall: item.scores.overall,
+      sections: Object.fromEntries(SECTIONS.map((section) => [section, item.scores[section]?.score ?? null])),
+    }));
+
+  return {
+    ...crawl,
+    // Discovery state wins until pages exist; afterwards the pages decide
+    status: crawl.status === 'analyzing' ? summary.status : crawl.status,
+    progress: summary.progress,
+    scoreSummary: summary.scoreSummary,
+    weakestPages,
+    pages: items.map((item) => ({
+      _id: item._id,
+      url: item.url,
+      status: item.status,
+      stage: item.stage,
+      error: item.error,
+      overall: item.scores?.overall ?? null,
+      mlOverall: item.mlScores?.overall?.mlScore ?? null,
+    })),
+  };
+}
@@ -0,0 +1,111 @@
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// Give up looking for the next run after this many days (e.g. "0 0 31 2 *")
+const MAX_LOOKAHEAD_DAYS = 366 * 4;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} field "${text}"`);
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start);
+    const to = range === '*' ? max : end !== undefined ? parseInt(end) : step ? max : from;
+    const increment = step ? parseInt(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid ${name} field "${text}"`);
+    }
+    for (let value = from; value <= to; value += increment) values.add(value);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression (minute hour day-of-month month
+ * day-of-week) or one of @hourly/@daily/@weekly/@monthly. Supports `*`,
+ * lists, ranges and steps. Throws on invalid input.
+ */
+export function parseCron(expression) {
+  const text = MACROS[(expression || '').trim().toLowerCase()] || (expression || '').trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, idx) => parseField(part, FIELDS[idx]));
+  // 7 is an alias for Sunday
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Like cron, when both day fields are restricted either may match
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getUTCDate());
+  const dow = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * The first time strictly after `after` that matches the expression.
+ * Schedules are evaluated in UTC. Returns null if nothing matches.
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
@@ -0,0 +1,68 @@
+/**
+ * Parse CSV text into an array of rows (arrays of strings). Handles quoted
+ * fields, escaped quotes ("") and CRLF line endings. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map((r) => r.map((value) => value.trim()))
+    .filter((r) => r.some((value) => value.length > 0));
+}
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (arrays of values) to CSV with CRLF line endings. Strings
+ * that look like spreadsheet formulas are prefixed with `'` so scraped page
+ * content cannot execute in Excel or Sheets.
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
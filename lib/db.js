@@ -6,6 +6,48 @@ const DB_NAME = process.env.DB_NAME;
 let cachedClient = null;
 let cachedDb = null;
 
+// Secondary indexes the app queries by, created once per process:
+// [collection, keys, options?]
+const INDEXES = [
+  // Analyses list: filters on status/tags/project, sorting by date or score
+  ['analyses', { workspaceId: 1, createdAt: -1 }],
+  ['analyses', { workspaceId: 1, status: 1, createdAt: -1 }],
+  ['analyses', { workspaceId: 1, 'scores.overall': -1, createdAt: -1 }],
+  ['analyses', { workspaceId: 1, tags: 1, createdAt: -1 }],
+  ['analyses', { workspaceId: 1, projectId: 1, createdAt: -1 }],
+  ['analyses', { batchId: 1, createdAt: 1 }],
+  ['analyses', { crawlId: 1, createdAt: 1 }],
+  ['analyses', { pageId: 1, createdAt: 1 }],
+  ['pages', { workspaceId: 1, lastAnalyzedAt: -1 }],
+  ['pages', { 'monitor.enabled': 1 }],
+  ['alerts', { workspaceId: 1, createdAt: -1 }],
+  ['alerts', { pageId: 1, createdAt: -1 }],
+  ['webhooks', { workspaceId: 1, active: 1, events: 1 }],
+  ['webhook_deliveries', { webhookId: 1, createdAt: -1 }],
+  ['api_keys', { hash: 1 }, { unique: true }],
+  ['api_keys', { workspaceId: 1, type: 1, createdAt: -1 }],
+  ['shares', { hash: 1 }, { unique: true }],
+  ['shares', { analysisId: 1, createdAt: -1 }],
+  ['projects', { workspaceId: 1, name: 1 }],
+  ['brand_voices', { workspaceId: 1, name: 1 }],
+  ['notes', { analysisId: 1, createdAt: 1 }],
+  ['users', { email: 1 }, { unique: true }],
+  ['memberships', { workspaceId: 1, userId: 1 }, { unique: true }],
+  ['memberships', { userId: 1, createdAt: 1 }],
+  // Expired dashboard sessions are removed by MongoDB; API keys have no expiresAt
+  ['api_keys', { expiresAt: 1 }, { expireAfterSeconds: 0 }],
+];
+
+async function ensureIndexes(db) {
+  try {
+    await Promise.all(
+      INDEXES.map(([collectionName, keys, options]) => db.collection(collectionName).createIndex(keys, options))
+    );
+  } catch (error) {
+    console.warn('Failed to create indexes:', error.message);
+  }
+}
+
 export async function connectToDatabase() {
   if (cachedClient && cachedDb) {
     return { client: cachedClient, db: cachedDb };
@@ -17,6 +59,7 @@ export async function connectToDatabase() {
   });
 
   const db = client.db(DB_NAME);
+  await ensureIndexes(db);
 
   cachedClient = client;
   cachedDb = db;
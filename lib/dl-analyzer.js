@@ -1,3 +1,5 @@
+import { mlWeights } from '@/lib/scoring-context';
+
 // Dynamic import for optional ML - may not work in serverless environments
 let pipeline = null;
 let natural = null;
@@ -146,9 +148,17 @@ function safeNlp(text) {
 }
 
 /**
- * Analyze headline effectiveness using linguistic features
+ * Multiplier for a heuristic feature's points (see mlWeights)
+ */
+function boost(weights, feature) {
+  return weights[feature] ?? 1;
+}
+
+/**
+ * Analyze headline effectiveness using linguistic features. `weights` scale
+ * the points of each feature for the page's audience and funnel stage.
  */
-function analyzeHeadlineEffectiveness(headline) {
+function analyzeHeadlineEffectiveness(headline, weights = {}) {
   if (!headline || headline.length < 5) return { score: 0, features: { hasNumber: false, hasActionVerb: false, wordCount: 0, hasQuestion: false, hasEmotionalWords: false, hasNegation: false, optimalLength: false } };
 
   const doc = safeNlp(headline);
@@ -175,11 +185,11 @@ function analyzeHeadlineEffectiveness(headline) {
   else if (wordCount > 15) score -= 15;
 
   // Bonus features
-  if (hasNumber) score += 15; // Numbers increase CTR
-  if (hasActionVerb) score += 10; // Action-oriented
-  if (hasEmotionalWords) score += 10; // Emotional appeal
-  if (hasQuestion) score += 5; // Curiosity
-  if (hasNegation) score += 8; // Pain point addressing
+  if (hasNumber) score += 15 * boost(weights, 'number'); // Numbers increase CTR
+  if (hasActionVerb) score += 10 * boost(weights, 'actionVerb'); // Action-oriented
+  if (hasEmotionalWords) score += 10 * boost(weights, 'emotional'); // Emotional appeal
+  if (hasQuestion) score += 5 * boost(weights, 'question'); // Curiosity
+  if (hasNegation) score += 8 * boost(weights, 'negation'); // Pain point addressing
 
   // Capitalize first letter bonus
   if (headline[0] === headline[0].toUpperCase()) score += 5;
@@ -201,7 +211,7 @@ function analyzeHeadlineEffectiveness(headline) {
 /**
  * Analyze CTA effectiveness
  */
-function analyzeCtaEffectiveness(ctaText) {
+function analyzeCtaEffectiveness(ctaText, weights = {}) {
   if (!ctaText || ctaText.length < 2) return { score: 0, features: { startsWithVerb: false, hasUrgency: false, hasFreeOffer: false, isShort: false, wordCount: 0 } };
 
   const tokens = safeTokenize(ctaText);
@@ -225,9 +235,9 @@ function analyzeCtaEffectiveness(ctaText) {
 
   let score = 50;
 
-  if (startsWithVerb) score += 20;
-  if (hasUrgency) score += 15;
-  if (hasFreeOffer) score += 15;
+  if (startsWithVerb) score += 20 * boost(weights, 'actionVerb');
+  if (hasUrgency) score += 15 * boost(weights, 'urgency');
+  if (hasFreeOffer) score += 15 * boost(weights, 'freeOffer');
   if (isShort) score += 15;
   else if (wordCount > 6) score -= 15;
 
@@ -283,7 +293,7 @@ function analyzeSpecificity(text) {
 /**
  * Calculate persuasiveness score
  */
-function analyzePersuasiveness(text) {
+function analyzePersuasiveness(text, weights = {}) {
   if (!text || text.length < 10) return 0;
 
   const tokens = safeTokenize(text);
@@ -301,10 +311,10 @@ function analyzePersuasiveness(text) {
 
   let score = 3; // Base score
 
-  score += Math.min(3, benefitCount * 0.8);
-  score += Math.min(2, urgencyCount * 0.7);
-  score += Math.min(2, socialProofCount * 0.8);
-  score += Math.min(1, powerWordCount * 0.5);
+  score += Math.min(3, benefitCount * 0.8 * boost(weights, 'benefit'));
+  score += Math.min(2, urgencyCount * 0.7 * boost(weights, 'urgency'));
+  score += Math.min(2, socialProofCount * 0.8 * boost(weights, 'socialProof'));
+  score += Math.min(1, powerWordCount * 0.5 * boost(weights, 'power'));
 
   return Math.max(0, Math.min(10, score));
 }
@@ -330,9 +340,130 @@ function createFallbackSentiment(text) {
 }
 
 /**
- * Main DL analysis function
+ * Rule-based scores per section: everything except sentiment. `weight` is
+ * the unrounded section score the overall ML score is built from, and
+ * `weights` the feature multipliers from mlWeights.
+ */
+const SECTION_SCORERS = {
+  headline(headline, weights = {}) {
+    const effectiveness = analyzeHeadlineEffectiveness(headline, weights);
+    return {
+      weight: effectiveness.score,
+      scores: {
+        mlScore: Math.round(effectiveness.score),
+        readability: Math.round(calculateReadability(headline)),
+        specificity: Math.round(analyzeSpecificity(headline)),
+        persuasiveness: Math.round(analyzePersuasiveness(headline, weights)),
+        actionability: effectiveness.features.hasActionVerb ? 8 : 3,
+        features: effectiveness.features,
+        prediction: effectiveness.score >= 70 ? 'High engagement potential' :
+          effectiveness.score >= 50 ? 'Moderate engagement potential' :
+            'Low engagement potential'
+      }
+    };
+  },
+
+  subheadline(subheadline) {
+    const readability = calculateReadability(subheadline);
+    const specificity = analyzeSpecificity(subheadline);
+    return {
+      weight: (readability + specificity) * 5,
+      scores: {
+        mlScore: Math.round((readability + specificity) * 5),
+        readability: Math.round(readability),
+        specificity: Math.round(specificity),
+        clarity: Math.round(readability),
+        prediction: readability >= 7 ? 'Clear and readable' : 'Could be clearer'
+      }
+    };
+  },
+
+  // The first CTA is scored for effectiveness; all of them for persuasiveness
+  cta(ctas, weights = {}) {
+    const effectiveness = analyzeCtaEffectiveness(ctas[0] || '', weights);
+    return {
+      weight: effectiveness.score,
+      scores: {
+        mlScore: Math.round(effectiveness.score),
+        actionability: effectiveness.features.startsWithVerb ? 9 : 4,
+        persuasiveness: Math.round(analyzePersuasiveness(ctas.join(' '), weights)),
+        urgency: effectiveness.features.hasUrgency ? 9 : 3,
+        features: effectiveness.features,
+        prediction: effectiveness.score >= 70 ? 'Strong CTA with clear action' :
+          effectiveness.score >= 50 ? 'Decent CTA, could be stronger' :
+            'Weak CTA, needs improvement'
+      }
+    };
+  },
+
+  bodyCopy(bodyCopy, weights = {}) {
+    const readability = calculateReadability(bodyCopy);
+    const persuasiveness = analyzePersuasiveness(bodyCopy, weights);
+    return {
+      weight: (readability + persuasiveness) * 5,
+      scores: {
+        mlScore: Math.round((readability + persuasiveness) * 5),
+        readability: Math.round(readability),
+        persuasiveness: Math.round(persuasiveness),
+        prediction: readability >= 7 && persuasiveness >= 6 ?
+          'Engaging and persuasive content' :
+          'Content needs optimization'
+      }
+    };
+  },
+};
+
+/**
+ * Score one section's copy with the rule-based models only (no transformer
+ * models, no sentiment), so it is fast enough to run while someone types.
+ * Gives the same section scores as analyzeMl for the same `context` (see
+ * lib/scoring-context.js). `text` is a string, or for `cta` a string or a
+ * list of CTAs.
+ */
+export async function scoreCopy(section, text, context = null) {
+  await initializeDependencies();
+  const input = section === 'cta' ? [text].flat() : text;
+  return SECTION_SCORERS[section](input, mlWeights(context).features).scores;
+}
+
+/**
+ * Score every AI rewrite like the original copy and sort each section
+ * best-first. `uplift` is the rewrite's ML score minus the original's (from
+ * `mlScores`); `belowOriginal` flags rewrites that would be a downgrade.
+ * Returns `{ rewrites, rewriteScores }`, with `rewrites` in the same shape
+ * as the input and `rewriteScores[section][i]` describing `rewrites[section][i]`.
+ * `context` should be the one the original was scored with.
  */
-export async function analyzeMl(extractedContent) {
+export async function rankRewrites(rewrites, mlScores, context = null) {
+  await initializeDependencies();
+  const { features } = mlWeights(context);
+
+  const ranked = {};
+  const rewriteScores = {};
+
+  for (const [section, texts] of Object.entries(rewrites)) {
+    const original = mlScores[section]?.mlScore;
+    const scored = texts
+      .map((text) => {
+        const mlScore = SECTION_SCORERS[section](section === 'cta' ? [text] : text, features).scores.mlScore;
+        const uplift = typeof original === 'number' ? mlScore - original : null;
+        return { text, mlScore, uplift, belowOriginal: uplift !== null && uplift < 0 };
+      })
+      // Array#sort is stable, so equal scores keep the AI's order
+      .sort((a, b) => b.mlScore - a.mlScore);
+
+    ranked[section] = scored.map(({ text }) => text);
+    rewriteScores[section] = scored;
+  }
+
+  return { rewrites: ranked, rewriteScores };
+}
+
+/**
+ * Main DL analysis function. `context` (audience, page type, funnel stage;
+ * see lib/scoring-context.js) shifts the heuristic and section weights.
+ */
+export async function analyzeMl(extractedContent, context = null) {
   try {
     console.log('Starting analysis...');
 
@@ -340,20 +471,11 @@ export async function analyzeMl(extractedContent) {
     const modelsAvailable = await initializeModels();
 
     // Rule-based analysis (always works)
-    const headlineEffectiveness = analyzeHeadlineEffectiveness(extractedContent.headline);
-    const ctaEffectiveness = analyzeCtaEffectiveness(extractedContent.cta[0] || '');
-
-    // Calculate linguistic metrics
-    const headlineReadability = calculateReadability(extractedContent.headline);
-    const subheadlineReadability = calculateReadability(extractedContent.subheadline);
-    const bodyReadability = calculateReadability(extractedContent.bodyCopy);
-
-    const headlineSpecificity = analyzeSpecificity(extractedContent.headline);
-    const subheadlineSpecificity = analyzeSpecificity(extractedContent.subheadline);
-
-    const headlinePersuasiveness = analyzePersuasiveness(extractedContent.headline);
-    const ctaPersuasiveness = analyzePersuasiveness(extractedContent.cta.join(' '));
-    const bodyPersuasiveness = analyzePersuasiveness(extractedContent.bodyCopy);
+    const { sections, features } = mlWeights(context);
+    const headline = SECTION_SCORERS.headline(extractedContent.headline, features);
+    const subheadline = SECTION_SCORERS.subheadline(extractedContent.subheadline, features);
+    const cta = SECTION_SCORERS.cta(extractedContent.cta, features);
+    const bodyCopy = SECTION_SCORERS.bodyCopy(extractedContent.bodyCopy, features);
 
     // Get sentiment (from ML if available, otherwise rule-based fallback)
     let headlineSentiment, subheadlineSentiment, bodyCopySentiment;
@@ -374,52 +496,18 @@ export async function analyzeMl(extractedContent) {
 
     // Build scores
     const mlScores = {
-      headline: {
-        mlScore: Math.round(headlineEffectiveness.score),
-        sentiment: headlineSentiment,
-        readability: Math.round(headlineReadability),
-        specificity: Math.round(headlineSpecificity),
-        persuasiveness: Math.round(headlinePersuasiveness),
-        actionability: headlineEffectiveness.features.hasActionVerb ? 8 : 3,
-        features: headlineEffectiveness.features,
-        prediction: headlineEffectiveness.score >= 70 ? 'High engagement potential' :
-          headlineEffectiveness.score >= 50 ? 'Moderate engagement potential' :
-            'Low engagement potential'
-      },
-      subheadline: {
-        mlScore: Math.round((subheadlineReadability + subheadlineSpecificity) * 5),
-        sentiment: subheadlineSentiment,
-        readability: Math.round(subheadlineReadability),
-        specificity: Math.round(subheadlineSpecificity),
-        clarity: Math.round(subheadlineReadability),
-        prediction: subheadlineReadability >= 7 ? 'Clear and readable' : 'Could be clearer'
-      },
-      cta: {
-        mlScore: Math.round(ctaEffectiveness.score),
-        actionability: ctaEffectiveness.features.startsWithVerb ? 9 : 4,
-        persuasiveness: Math.round(ctaPersuasiveness),
-        urgency: ctaEffectiveness.features.hasUrgency ? 9 : 3,
-        features: ctaEffectiveness.features,
-        prediction: ctaEffectiveness.score >= 70 ? 'Strong CTA with clear action' :
-          ctaEffectiveness.score >= 50 ? 'Decent CTA, could be stronger' :
-            'Weak CTA, needs improvement'
-      },
-      bodyCopy: {
-        mlScore: Math.round((bodyReadability + bodyPersuasiveness) * 5),
-        sentiment: bodyCopySentiment,
-        readability: Math.round(bodyReadability),
-        persuasiveness: Math.round(bodyPersuasiveness),
-        prediction: bodyReadability >= 7 && bodyPersuasiveness >= 6 ?
-          'Engaging and persuasive content' :
-          'Content needs optimization'
-      },
+      headline: { ...headline.scores, sentiment: headlineSentiment },
+      subheadline: { ...subheadline.scores, sentiment: subheadlineSentiment },
+      cta: cta.scores,
+      bodyCopy: { ...bodyCopy.scores, sentiment: bodyCopySentiment },
       overall: {
         mlScore: Math.round(
-          (headlineEffectiveness.score * 0.30) +
-          ((subheadlineReadability + subheadlineSpecificity) * 5 * 0.25) +
-          (ctaEffectiveness.score * 0.25) +
-          ((bodyReadability + bodyPersuasiveness) * 5 * 0.20)
+          (headline.weight * sections.headline) +
+          (subheadline.weight * sections.subheadline) +
+          (cta.weight * sections.cta) +
+          (bodyCopy.weight * sections.bodyCopy)
         ),
+        sectionWeights: sections,
         confidence: modelsAvailable ? 'High' : 'Medium (rule-based)',
         modelVersion: modelsAvailable ? 'DistilBERT + Linguistic Analysis v1.0' : 'Rule-based Analysis v1.0'
       }
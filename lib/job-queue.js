@@ -0,0 +1,217 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+
+const JOBS_COLLECTION = 'jobs';
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '3');
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS || '120000');
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000');
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3');
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS || '5000');
+
+/**
+ * Worker state lives on globalThis because Next.js bundles route handlers and
+ * instrumentation separately; a module-level variable would give each bundle
+ * its own worker and break the concurrency cap.
+ */
+function getWorkerState() {
+  if (!globalThis.__leadboostJobWorker) {
+    globalThis.__leadboostJobWorker = {
+      workerId: uuidv4(),
+      handlers: {},
+      started: false,
+      ticking: false,
+      active: 0,
+      timer: null,
+    };
+  }
+  return globalThis.__leadboostJobWorker;
+}
+
+/**
+ * Persist a job. Passing `options.id` makes the call idempotent: enqueueing
+ * the same id twice keeps the first job untouched.
+ */
+export async function enqueueJob(type, payload, options = {}) {
+  const jobs = await getCollection(JOBS_COLLECTION);
+  const now = new Date();
+
+  const job = {
+    _id: options.id || uuidv4(),
+    type,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    runAt: options.runAt || now,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+
+  await jobs.updateOne({ _id: job._id }, { $setOnInsert: job }, { upsert: true });
+  kickWorker();
+
+  return job;
+}
+
+export async function getJob(jobId) {
+  const jobs = await getCollection(JOBS_COLLECTION);
+  return jobs.findOne({ _id: jobId });
+}
+
+/**
+ * Start polling for jobs in this process. Handlers are keyed by job type and
+ * look like `{ run(payload, job), onRetry?(payload, error, job), onFailure?(payload, error, job) }`.
+ * Returns true only for the call that actually started the worker.
+ */
+export async function startJobWorker(handlers) {
+  const state = getWorkerState();
+  Object.assign(state.handlers, handlers);
+
+  if (state.started) return false;
+  state.started = true;
+
+  try {
+    const jobs = await getCollection(JOBS_COLLECTION);
+    await jobs.createIndex({ status: 1, runAt: 1 });
+    await jobs.createIndex({ status: 1, leaseExpiresAt: 1 });
+  } catch (error) {
+    // Let the next caller try again once MongoDB is reachable
+    state.started = false;
+    throw error;
+  }
+
+  state.timer = setInterval(tick, POLL_INTERVAL_MS);
+  if (state.timer.unref) state.timer.unref();
+
+  console.log(`Job worker ${state.workerId} started (concurrency ${CONCURRENCY})`);
+  kickWorker();
+
+  return true;
+}
+
+function kickWorker() {
+  const state = getWorkerState();
+  if (state.started) setImmediate(tick);
+}
+
+async function tick() {
+  const state = getWorkerState();
+  if (state.ticking) return;
+  state.ticking = true;
+
+  try {
+    while (state.active < CONCURRENCY) {
+      const job = await claimNextJob(state);
+      if (!job) break;
+
+      state.active++;
+      runJob(state, job)
+        .catch((error) => console.error(`[job ${job._id}] Unhandled worker error:`, error))
+        .finally(() => {
+          state.active--;
+          kickWorker();
+        });
+    }
+  } catch (error) {
+    console.error('Job worker poll failed:', error);
+  } finally {
+    state.ticking = false;
+  }
+}
+
+async function claimNextJob(state) {
+  const jobs = await getCollection(JOBS_COLLECTION);
+  const now = new Date();
+
+  return jobs.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(state.handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        // An expired lease means the worker holding it crashed or was restarted
+        { status: 'running', leaseExpiresAt: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'running',
+        leaseOwner: state.workerId,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+        updatedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+async function runJob(state, job) {
+  const handler = state.handlers[job.type];
+  const jobs = await getCollection(JOBS_COLLECTION);
+  const owned = { _id: job._id, leaseOwner: state.workerId };
+
+  // Keep the lease alive while the handler is still working
+  const heartbeat = setInterval(() => {
+    jobs
+      .updateOne(owned, { $set: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) } })
+      .catch((error) => console.error(`[job ${job._id}] Lease renewal failed:`, error));
+  }, LEASE_MS / 3);
+
+  try {
+    if (job.attempts > job.maxAttempts) {
+      throw new Error(`Job exceeded ${job.maxAttempts} attempts`);
+    }
+
+    await handler.run(job.payload, job);
+
+    await jobs.updateOne(owned, {
+      $set: {
+        status: 'completed',
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        updatedAt: new Date(),
+        completedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error(`[job ${job._id}] ${job.type} attempt ${job.attempts} failed:`, error);
+
+    // Errors flagged `retryable = false` (e.g. blocked URLs) fail immediately
+    if (job.attempts < job.maxAttempts && error.retryable !== false) {
+      const delay = BACKOFF_BASE_MS * 2 ** (job.attempts - 1);
+
+      await jobs.updateOne(owned, {
+        $set: {
+          status: 'queued',
+          runAt: new Date(Date.now() + delay),
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          lastError: error.message,
+          updatedAt: new Date(),
+        },
+      });
+
+      if (handler.onRetry) await handler.onRetry(job.payload, error, job);
+    } else {
+      await jobs.updateOne(owned, {
+        $set: {
+          status: 'failed',
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          lastError: error.message,
+          updatedAt: new Date(),
+          completedAt: new Date(),
+        },
+      });
+
+      if (handler.onFailure) await handler.onFailure(job.payload, error, job);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
@@ -0,0 +1,208 @@
+import { readFile } from 'fs/promises';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import fixtureReport from '@/lib/fixtures/analysis-report.json';
+import fixtureRewrites from '@/lib/fixtures/section-rewrites.json';
+
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000');
+
+/**
+ * Every provider exposes the same shape:
+ *   { name, model, generate(prompt) -> Promise<string> }
+ * `generate` returns the raw model text; parsing stays in ai-analyzer.
+ */
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  anthropic: createAnthropicProvider,
+  fixture: createFixtureProvider,
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export const DEFAULT_LLM_CONFIG = {
+  provider: process.env.LLM_PROVIDER || 'gemini',
+  model: process.env.LLM_MODEL || null,
+};
+
+/**
+ * Merge LLM configs in priority order (first wins), falling back to the
+ * environment defaults. Only `provider` and `model` can be chosen per request;
+ * endpoints and keys always come from the environment.
+ */
+export function resolveLlmConfig(...configs) {
+  const resolved = { ...DEFAULT_LLM_CONFIG };
+
+  for (const config of [...configs].reverse()) {
+    if (!config) continue;
+    if (config.provider) {
+      resolved.provider = config.provider;
+      // A provider override without a model means that provider's default
+      resolved.model = config.model || null;
+    } else if (config.model) {
+      resolved.model = config.model;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate a user-supplied `{ provider, model }` object. Returns an error
+ * message, or null when it is acceptable.
+ */
+export function validateLlmConfig(config) {
+  if (config === undefined || config === null) return null;
+  if (typeof config !== 'object') return 'llm must be an object with provider and model';
+  if (config.provider && !LLM_PROVIDER_NAMES.includes(config.provider)) {
+    return `Unknown LLM provider "${config.provider}". Use one of: ${LLM_PROVIDER_NAMES.join(', ')}`;
+  }
+  if (config.model && typeof config.model !== 'string') return 'llm.model must be a string';
+  return null;
+}
+
+export function getLlmProvider(config = {}) {
+  const { provider, model } = resolveLlmConfig(config);
+  const factory = PROVIDERS[provider];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+
+  return factory(model);
+}
+
+function createGeminiProvider(model) {
+  const modelName = model || process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    async generate(prompt) {
+      const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+      const result = await genAI
+        .getGenerativeModel({ model: modelName })
+        .generateContent(prompt, { timeout: LLM_TIMEOUT_MS });
+      const response = await result.response;
+      return response.text();
+    },
+  };
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself,
+ * Ollama (`http://localhost:11434/v1`), llama.cpp server, vLLM, etc.
+ */
+function createOpenAiProvider(model) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const modelName = model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+  return {
+    name: 'openai',
+    model: modelName,
+    async generate(prompt) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.OPENAI_API_KEY) {
+        headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: modelName,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.4,
+        }),
+        signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible API error: ${response.status} ${await response.text()}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+  };
+}
+
+function createAnthropicProvider(model) {
+  const modelName = model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+
+  return {
+    name: 'anthropic',
+    model: modelName,
+    async generate(prompt) {
+      const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': process.env.ANTHROPIC_API_KEY || '',
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model: modelName,
+          max_tokens: 4096,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+        signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Anthropic API error: ${response.status} ${await response.text()}`);
+      }
+
+      const data = await response.json();
+      return (data.content || [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+    },
+  };
+}
+
+// "Write 3 new improved version(s) of the page's headline ("headline")" and
+// the matching line of the repair prompt (see lib/ai-analyzer.js)
+const REWRITE_REQUEST = /^Write (\d+) .*?\("(headline|subheadline|cta|bodyCopy)"\)/m;
+
+/**
+ * Fixture rewrites for one section that the prompt does not mention yet, so
+ * they never repeat the report's rewrites, earlier regenerations or the
+ * response being repaired. Once the list runs out, variants are numbered.
+ */
+function fixtureSectionRewrites(prompt, section, count) {
+  const rewrites = [];
+  for (let round = 1; rewrites.length < count; round++) {
+    for (const base of fixtureRewrites[section]) {
+      const rewrite = round === 1 ? base : `${base} (${round})`;
+      if (!prompt.includes(rewrite)) rewrites.push(rewrite);
+      if (rewrites.length === count) break;
+    }
+  }
+  return rewrites;
+}
+
+/**
+ * Deterministic provider for offline dev and CI. Rewrite requests for one
+ * section get new variants from `lib/fixtures/section-rewrites.json`; every
+ * other prompt gets the report in `LLM_FIXTURE_PATH` if set, otherwise the
+ * bundled fixture. Rewrite constraints are not applied.
+ */
+function createFixtureProvider(model) {
+  return {
+    name: 'fixture',
+    model: model || 'fixture',
+    async generate(prompt = '') {
+      const rewriteRequest = prompt.match(REWRITE_REQUEST);
+      if (rewriteRequest) {
+        const [, count, section] = rewriteRequest;
+        return JSON.stringify({ rewrites: fixtureSectionRewrites(prompt, section, parseInt(count)) });
+      }
+
+      if (process.env.LLM_FIXTURE_PATH) {
+        return readFile(process.env.LLM_FIXTURE_PATH, 'utf8');
+      }
+      return JSON.stringify(fixtureReport);
+    },
+  };
+}
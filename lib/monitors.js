@@ -0,0 +1,345 @@
+import { getCollection } from '@/lib/db';
+import { enqueueJob } from '@/lib/job-queue';
+import { buildAnalysis, enqueueAnalysis } from '@/lib/analysis-pipeline';
+import { scrapeWebsite, extractContent } from '@/lib/scraper';
+import { SECTIONS } from '@/lib/analysis-summary';
+import { parseCron, nextCronRun } from '@/lib/cron';
+import { assertUrlAllowed, postJson } from '@/lib/network-policy';
+import { emitWebhookEvent } from '@/lib/webhooks';
+
+export const MONITOR_JOB = 'monitor';
+export const ALERT_WEBHOOK_JOB = 'alert-webhook';
+
+const DEFAULT_THRESHOLD = parseInt(process.env.MONITOR_REGRESSION_THRESHOLD || '10');
+const MIN_INTERVAL_MINUTES = parseInt(process.env.MONITOR_MIN_INTERVAL_MINUTES || '15');
+const DEFAULT_WEBHOOK_URL = process.env.MONITOR_WEBHOOK_URL || null;
+
+// Minutes and hours repeat every day and weekdays every week, so the runs in
+// eight days from the first one include the closest pair a schedule has
+const INTERVAL_WINDOW_MS = 8 * 24 * 60 * 60 * 1000;
+
+/**
+ * Whether any two consecutive runs of `cron`, starting at `first`, are less
+ * than `minMs` apart.
+ */
+function runsTooClose(cron, first, minMs) {
+  const end = first.getTime() + INTERVAL_WINDOW_MS;
+  let previous = first;
+
+  while (previous.getTime() < end) {
+    const next = nextCronRun(cron, previous);
+    if (!next) return false;
+    if (next - previous < minMs) return true;
+    previous = next;
+  }
+  return false;
+}
+
+/**
+ * Validate a monitor configuration from the API. Returns `{ monitor }` ready
+ * to store, or `{ error }`.
+ */
+export function validateMonitorConfig({ schedule, threshold, webhookUrl } = {}) {
+  if (!schedule || typeof schedule !== 'string') {
+    return { error: '"schedule" (cron expression) is required' };
+  }
+
+  let cron;
+  try {
+    cron = parseCron(schedule);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const first = nextCronRun(cron);
+  if (!first) {
+    return { error: 'Schedule never runs' };
+  }
+  if (runsTooClose(cron, first, MIN_INTERVAL_MINUTES * 60 * 1000)) {
+    return { error: `Schedules may run at most every ${MIN_INTERVAL_MINUTES} minutes` };
+  }
+
+  const regressionThreshold = threshold === undefined || threshold === null ? DEFAULT_THRESHOLD : Number(threshold);
+  if (!Number.isFinite(regressionThreshold) || regressionThreshold < 0 || regressionThreshold > 100) {
+    return { error: '"threshold" must be a number of points between 0 and 100' };
+  }
+
+  if (webhookUrl) {
+    try {
+      assertUrlAllowed(webhookUrl);
+    } catch (error) {
+      return { error: `Webhook URL rejected: ${error.message}` };
+    }
+  }
+
+  return {
+    monitor: {
+      enabled: true,
+      schedule: schedule.trim(),
+      threshold: regressionThreshold,
+      webhookUrl: webhookUrl || null,
+    },
+  };
+}
+
+async function enqueueCheck(pageId, runAt) {
+  // The id pins one job per page and slot, so re-scheduling is idempotent
+  return enqueueJob(MONITOR_JOB, { pageId, scheduledFor: runAt }, { id: `monitor:${pageId}:${runAt.getTime()}`, runAt });
+}
+
+async function scheduleNextCheck(pageId, schedule) {
+  const pages = await getCollection('pages');
+  const nextRunAt = nextCronRun(schedule);
+
+  await pages.updateOne({ _id: pageId }, { $set: { 'monitor.nextRunAt': nextRunAt } });
+  if (nextRunAt) await enqueueCheck(pageId, nextRunAt);
+
+  return nextRunAt;
+}
+
+/**
+ * Enable (or reconfigure) monitoring for a page. Earlier queued checks are
+ * left in place but skipped, since they no longer match `nextRunAt`.
+ */
+export async function enableMonitor(pageId, workspaceId, monitor) {
+  const pages = await getCollection('pages');
+  const result = await pages.updateOne(
+    { _id: pageId, workspaceId },
+    {
+      $set: {
+        'monitor.enabled': true,
+        'monitor.schedule': monitor.schedule,
+        'monitor.threshold': monitor.threshold,
+        'monitor.webhookUrl': monitor.webhookUrl,
+      },
+    }
+  );
+  if (result.matchedCount === 0) return null;
+
+  await scheduleNextCheck(pageId, monitor.schedule);
+  return pages.findOne({ _id: pageId });
+}
+
+export async function disableMonitor(pageId, workspaceId) {
+  const pages = await getCollection('pages');
+  const result = await pages.updateOne(
+    { _id: pageId, workspaceId },
+    { $set: { 'monitor.enabled': false, 'monitor.nextRunAt': null } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Make sure every enabled monitor has its next check queued. Called when the
+ * worker starts; overdue checks run straight away.
+ */
+export async function scheduleMonitors() {
+  const pages = await getCollection('pages');
+  const monitored = await pages
+    .find({ 'monitor.enabled': true }, { projection: { monitor: 1 } })
+    .toArray();
+
+  for (const page of monitored) {
+    if (page.monitor.nextRunAt) {
+      await enqueueCheck(page._id, page.monitor.nextRunAt);
+    } else {
+      await scheduleNextCheck(page._id, page.monitor.schedule);
+    }
+  }
+}
+
+function sectionText(extractedContent, section) {
+  const value = extractedContent?.[section];
+  return Array.isArray(value) ? value.join('\n') : value || '';
+}
+
+export const monitorJobHandler = {
+  async run({ pageId, scheduledFor }) {
+    const pages = await getCollection('pages');
+    const page = await pages.findOne({ _id: pageId });
+
+    // Disabled, deleted or re-scheduled since this check was queued
+    if (!page?.monitor?.enabled || page.monitor.nextRunAt?.getTime() !== new Date(scheduledFor).getTime()) {
+      return;
+    }
+
+    const analyses = await getCollection('analyses');
+    const [latest, inFlight] = await Promise.all([
+      page.lastAnalysisId ? analyses.findOne({ _id: page.lastAnalysisId }) : null,
+      analyses.countDocuments({ pageId, status: 'analyzing' }, { limit: 1 }),
+    ]);
+
+    // Wait for a run that is still in progress rather than queueing another
+    if (inFlight) {
+      await scheduleNextCheck(pageId, page.monitor.schedule);
+      return;
+    }
+
+    // Without a completed run there is nothing to compare with, so the page
+    // is analyzed afresh, set up like its most recent (failed) run if any
+    const previous = latest || (await analyses.findOne({ pageId }, { sort: { createdAt: -1 } }));
+    const url = latest?.url || page.url;
+
+    console.log(`[monitor ${pageId}] Checking ${url} for changes...`);
+    const html = await scrapeWebsite(url);
+    const extractedContent = extractContent(html);
+    const changedSections = latest
+      ? SECTIONS.filter(
+          (section) => sectionText(extractedContent, section) !== sectionText(latest.extractedContent, section)
+        )
+      : SECTIONS;
+
+    let analysisId = null;
+    if (changedSections.length > 0) {
+      const analysis = buildAnalysis(url, {
+        workspaceId: page.workspaceId,
+        llm: previous?.llm ?? null,
+        // Re-runs stay organized like the run they follow
+        tags: previous?.tags || [],
+        projectId: previous?.projectId ?? null,
+        brandVoiceId: previous?.brandVoiceId ?? null,
+        scoringContext: previous?.scoringContext ?? null,
+        trigger: 'monitor',
+        extractedContent,
+      });
+      await analyses.insertOne(analysis);
+      await enqueueAnalysis(analysis._id, analysis.url);
+      analysisId = analysis._id;
+    }
+
+    await pages.updateOne(
+      { _id: pageId },
+      {
+        $set: {
+          'monitor.lastCheckedAt': new Date(),
+          'monitor.lastChangedSections': changedSections,
+          'monitor.lastAnalysisId': analysisId,
+          'monitor.lastError': null,
+        },
+      }
+    );
+    await scheduleNextCheck(pageId, page.monitor.schedule);
+
+    console.log(
+      `[monitor ${pageId}] ${changedSections.length > 0 ? `Changed (${changedSections.join(', ')}), re-analyzing` : 'No changes'}`
+    );
+  },
+
+  async onFailure({ pageId }, error) {
+    const pages = await getCollection('pages');
+    const page = await pages.findOne({ _id: pageId }, { projection: { monitor: 1 } });
+
+    await pages.updateOne(
+      { _id: pageId },
+      { $set: { 'monitor.lastCheckedAt': new Date(), 'monitor.lastError': error.message } }
+    );
+
+    // A failed check must not end the schedule
+    if (page?.monitor?.enabled) {
+      await scheduleNextCheck(pageId, page.monitor.schedule);
+    }
+  },
+};
+
+/**
+ * Called when an analysis completes. If its page is monitored and the overall
+ * score fell by more than the page's threshold since the previous completed
+ * run, record an alert and queue its webhook. Returns the alert or null.
+ */
+export async function checkForRegression(analysisId) {
+  const analyses = await getCollection('analyses');
+  const current = await analyses.findOne({ _id: analysisId });
+  if (!current?.pageId || typeof current.scores?.overall !== 'number') return null;
+
+  const pages = await getCollection('pages');
+  const page = await pages.findOne({ _id: current.pageId });
+  if (!page?.monitor?.enabled) return null;
+
+  const previous = await analyses.findOne(
+    { pageId: current.pageId, status: 'completed', createdAt: { $lt: current.createdAt } },
+    { sort: { createdAt: -1 } }
+  );
+  if (typeof previous?.scores?.overall !== 'number') return null;
+
+  const drop = previous.scores.overall - current.scores.overall;
+  if (drop <= page.monitor.threshold) return null;
+
+  const webhookUrl = page.monitor.webhookUrl || DEFAULT_WEBHOOK_URL;
+  const alert = {
+    _id: `regression:${analysisId}`,
+    type: 'regression',
+    workspaceId: page.workspaceId,
+    pageId: page._id,
+    url: current.url,
+    analysisId,
+    previousAnalysisId: previous._id,
+    previousOverall: previous.scores.overall,
+    overall: current.scores.overall,
+    drop,
+    threshold: page.monitor.threshold,
+    createdAt: new Date(),
+    webhook: webhookUrl
+      ? { url: webhookUrl, status: 'pending', attempts: 0, lastError: null, deliveredAt: null }
+      : null,
+  };
+
+  // A retried analysis must not raise the same alert twice
+  const alerts = await getCollection('alerts');
+  await alerts.updateOne({ _id: alert._id }, { $setOnInsert: alert }, { upsert: true });
+
+  if (webhookUrl) {
+    await enqueueJob(ALERT_WEBHOOK_JOB, { alertId: alert._id }, { id: `webhook:${alert._id}` });
+  }
+
+  const { _id, webhook, ...details } = alert;
+  await emitWebhookEvent(page.workspaceId, 'monitor.regression', alert._id, { id: _id, ...details });
+
+  console.log(`[monitor ${page._id}] Overall score dropped ${drop} points (${previous.scores.overall} -> ${current.scores.overall})`);
+  return alert;
+}
+
+export const alertWebhookJobHandler = {
+  async run({ alertId }, job) {
+    const alerts = await getCollection('alerts');
+    const alert = await alerts.findOne({ _id: alertId });
+    if (!alert?.webhook) return;
+
+    const { _id, webhook, ...details } = alert;
+    const { status, statusText } = await postJson(webhook.url, {
+      event: 'monitor.regression',
+      alert: { id: _id, ...details },
+    });
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`Webhook responded ${status} ${statusText || ''}`.trim());
+    }
+
+    await alerts.updateOne(
+      { _id: alertId },
+      {
+        $set: {
+          'webhook.status': 'delivered',
+          'webhook.attempts': job.attempts,
+          'webhook.deliveredAt': new Date(),
+          'webhook.lastError': null,
+        },
+      }
+    );
+  },
+
+  async onRetry({ alertId }, error, job) {
+    const alerts = await getCollection('alerts');
+    await alerts.updateOne(
+      { _id: alertId },
+      { $set: { 'webhook.attempts': job.attempts, 'webhook.lastError': error.message } }
+    );
+  },
+
+  async onFailure({ alertId }, error, job) {
+    const alerts = await getCollection('alerts');
+    await alerts.updateOne(
+      { _id: alertId },
+      { $set: { 'webhook.status': 'failed', 'webhook.attempts': job.attempts, 'webhook.lastError': error.message } }
+    );
+  },
+};
@@ -0,0 +1,292 @@
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const ALLOWED_DOMAINS = parseList(process.env.SCRAPE_ALLOWED_DOMAINS);
+const DENIED_DOMAINS = parseList(process.env.SCRAPE_DENIED_DOMAINS);
+const ALLOWED_PORTS = parseList(process.env.SCRAPE_ALLOWED_PORTS || '80,443').map(Number);
+const MAX_REDIRECTS = parseInt(process.env.SCRAPE_MAX_REDIRECTS || '5');
+const MAX_RESPONSE_BYTES = parseInt(process.env.SCRAPE_MAX_BYTES || String(2 * 1024 * 1024));
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SCRAPE_TIMEOUT_MS || '10000');
+
+export const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Hostnames that only make sense inside our own network
+const BLOCKED_HOST_SUFFIXES = ['localhost', 'local', 'internal', 'localdomain', 'home.arpa'];
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Raised when a request is refused by the network policy. `code` is stable
+ * and meant for API clients and the UI; these failures are never retried.
+ */
+export class NetworkPolicyError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'NetworkPolicyError';
+    this.code = code;
+    this.retryable = false;
+  }
+}
+
+/**
+ * True for loopback, private, link-local, CGNAT, multicast and other
+ * reserved addresses, including IPv4-mapped IPv6 forms of them.
+ */
+export function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 4) return blockList.check(address, 'ipv4');
+  if (family === 6) return blockList.check(address, 'ipv6');
+  return true;
+}
+
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Synchronous checks that need no DNS: protocol, port, domain allow/deny
+ * lists and literal IP addresses. Throws NetworkPolicyError.
+ */
+export function assertUrlAllowed(url) {
+  let urlObj;
+  try {
+    urlObj = url instanceof URL ? url : new URL(url);
+  } catch (e) {
+    throw new NetworkPolicyError('INVALID_URL', 'Invalid URL format');
+  }
+
+  if (!['http:', 'https:'].includes(urlObj.protocol)) {
+    throw new NetworkPolicyError('UNSUPPORTED_PROTOCOL', 'Invalid URL protocol. Only HTTP and HTTPS are supported.');
+  }
+
+  if (urlObj.username || urlObj.password) {
+    throw new NetworkPolicyError('URL_BLOCKED', 'URLs with embedded credentials are not allowed');
+  }
+
+  const port = urlObj.port ? Number(urlObj.port) : urlObj.protocol === 'https:' ? 443 : 80;
+  if (!ALLOWED_PORTS.includes(port)) {
+    throw new NetworkPolicyError('PORT_NOT_ALLOWED', `Port ${port} is not allowed`);
+  }
+
+  const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) {
+      throw new NetworkPolicyError('PRIVATE_ADDRESS', `Address ${hostname} is private or reserved`);
+    }
+  } else if (BLOCKED_HOST_SUFFIXES.some((suffix) => matchesDomain(hostname, suffix))) {
+    throw new NetworkPolicyError('PRIVATE_ADDRESS', `Host ${hostname} is internal`);
+  }
+
+  if (DENIED_DOMAINS.some((domain) => matchesDomain(hostname, domain))) {
+    throw new NetworkPolicyError('DOMAIN_DENIED', `Domain ${hostname} is on the deny list`);
+  }
+
+  if (ALLOWED_DOMAINS.length > 0 && !ALLOWED_DOMAINS.some((domain) => matchesDomain(hostname, domain))) {
+    throw new NetworkPolicyError('DOMAIN_NOT_ALLOWED', `Domain ${hostname} is not on the allow list`);
+  }
+
+  return urlObj;
+}
+
+/**
+ * DNS lookup used for every outgoing connection. Validating the addresses at
+ * connect time (rather than before the request) also defeats DNS rebinding.
+ */
+function policyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(
+        new NetworkPolicyError('PRIVATE_ADDRESS', `Host ${hostname} resolves to a private or reserved address (${blocked.address})`)
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function requestOnce(urlObj, { method = 'GET', headers, body, signal }) {
+  const client = urlObj.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(urlObj, {
+      method,
+      headers,
+      lookup: policyLookup,
+      signal,
+    });
+    request.on('response', resolve);
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function decodedStream(response) {
+  switch ((response.headers['content-encoding'] || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return response.pipe(zlib.createGunzip());
+    case 'deflate':
+      return response.pipe(zlib.createInflate());
+    case 'br':
+      return response.pipe(zlib.createBrotliDecompress());
+    default:
+      return response;
+  }
+}
+
+async function readBody(response, maxBytes) {
+  const declared = parseInt(response.headers['content-length'] || '0');
+  if (declared > maxBytes) {
+    response.destroy();
+    throw new NetworkPolicyError('RESPONSE_TOO_LARGE', `Response is larger than ${maxBytes} bytes`);
+  }
+
+  const chunks = [];
+  let total = 0;
+
+  // The cap applies after decompression so compression bombs are caught too
+  for await (const chunk of decodedStream(response)) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      response.destroy();
+      throw new NetworkPolicyError('RESPONSE_TOO_LARGE', `Response is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const charset = (response.headers['content-type'] || '').match(/charset=([^;]+)/i)?.[1]?.trim().replace(/"/g, '');
+  const buffer = Buffer.concat(chunks);
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * GET a URL under the network policy: every redirect hop is re-checked,
+ * connections to private addresses are refused, and the response must have
+ * an allowed content type and fit in `maxBytes`.
+ *
+ * Resolves to `{ url, status, contentType, body }` where `url` is the final
+ * URL after redirects. Non-2xx responses resolve too; callers decide.
+ */
+export async function safeFetch(url, options = {}) {
+  const {
+    contentTypes = HTML_CONTENT_TYPES,
+    maxBytes = MAX_RESPONSE_BYTES,
+    headers = {},
+    timeoutMs = REQUEST_TIMEOUT_MS,
+  } = options;
+
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = assertUrlAllowed(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await requestOnce(current, {
+      headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+      signal,
+    });
+
+    const location = response.headers.location;
+    if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+      response.resume();
+      current = assertUrlAllowed(new URL(location, current));
+      continue;
+    }
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const ok = response.statusCode >= 200 && response.statusCode < 300;
+
+    if (ok && contentType && contentTypes.length > 0 && !contentTypes.includes(contentType)) {
+      response.destroy();
+      throw new NetworkPolicyError('UNSUPPORTED_CONTENT_TYPE', `Unsupported content type: ${contentType}`);
+    }
+
+    const result = {
+      url: current.toString(),
+      status: response.statusCode,
+      statusText: response.statusMessage,
+      contentType,
+      body: '',
+    };
+
+    if (!ok) {
+      response.resume();
+      return result;
+    }
+
+    result.body = await readBody(response, maxBytes);
+    return result;
+  }
+
+  throw new NetworkPolicyError('TOO_MANY_REDIRECTS', `More than ${MAX_REDIRECTS} redirects`);
+}
+
+/**
+ * POST a JSON payload under the network policy (used for outgoing webhooks).
+ * Redirects are not followed. Resolves to `{ status, statusText }`; the
+ * response body is discarded.
+ */
+export async function postJson(url, payload, options = {}) {
+  const { headers = {}, timeoutMs = REQUEST_TIMEOUT_MS } = options;
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+  const response = await requestOnce(assertUrlAllowed(url), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers,
+    },
+    body,
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  response.resume();
+
+  return { status: response.statusCode, statusText: response.statusMessage };
+}
@@ -0,0 +1,95 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { SECTIONS } from '@/lib/analysis-summary';
+import { findUserById } from '@/lib/users';
+
+// `overall` is for comments on the report as a whole
+export const NOTE_SECTIONS = ['overall', ...SECTIONS];
+const MAX_NOTE_LENGTH = 5000;
+
+export function validateNoteBody(body) {
+  const trimmed = typeof body === 'string' ? body.trim() : '';
+  if (!trimmed) return { error: '"body" is required' };
+  if (trimmed.length > MAX_NOTE_LENGTH) return { error: `"body" must be at most ${MAX_NOTE_LENGTH} characters` };
+  return { body: trimmed };
+}
+
+export function validateNoteSection(section) {
+  const value = section ?? 'overall';
+  if (!NOTE_SECTIONS.includes(value)) {
+    return { error: `"section" must be one of: ${NOTE_SECTIONS.join(', ')}` };
+  }
+  return { section: value };
+}
+
+/**
+ * Who is writing, from an `authorize` result: the signed-in user, or the
+ * API key for integrations.
+ */
+export async function noteAuthor(auth) {
+  if (auth.userId) {
+    const user = await findUserById(auth.userId);
+    return { userId: auth.userId, keyId: null, name: user?.name || user?.email || 'Unknown user' };
+  }
+  return { userId: null, keyId: auth.key._id, name: auth.key.name || 'API key' };
+}
+
+/**
+ * Whether `auth` wrote `note`. Authors may edit and delete their own notes.
+ */
+export function isNoteAuthor(note, auth) {
+  if (auth.userId) return note.author.userId === auth.userId;
+  return note.author.keyId === auth.key._id;
+}
+
+export async function createNote(analysisId, workspaceId, { section, body, author }) {
+  const notes = await getCollection('notes');
+  const note = {
+    _id: uuidv4(),
+    analysisId,
+    workspaceId,
+    section,
+    body,
+    author,
+    createdAt: new Date(),
+    updatedAt: null,
+  };
+
+  await notes.insertOne(note);
+  return note;
+}
+
+/**
+ * The notes thread of an analysis, oldest first, optionally for one section.
+ */
+export async function listNotes(analysisId, workspaceId, { section } = {}) {
+  const notes = await getCollection('notes');
+  return notes
+    .find({ analysisId, workspaceId, ...(section && { section }) })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+export async function getNote(noteId, analysisId, workspaceId) {
+  const notes = await getCollection('notes');
+  return notes.findOne({ _id: noteId, analysisId, workspaceId });
+}
+
+export async function updateNote(noteId, body) {
+  const notes = await getCollection('notes');
+  return notes.findOneAndUpdate(
+    { _id: noteId },
+    { $set: { body, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+export async function deleteNote(noteId) {
+  const notes = await getCollection('notes');
+  await notes.deleteOne({ _id: noteId });
+}
+
+export async function deleteNotesForAnalysis(analysisId, workspaceId) {
+  const notes = await getCollection('notes');
+  await notes.deleteMany({ analysisId, workspaceId });
+}
@@ -0,0 +1,171 @@
+import { createHash } from 'crypto';
+import { getCollection } from '@/lib/db';
+import { SECTIONS } from '@/lib/analysis-summary';
+
+// Query parameters that identify a campaign, not a different page
+const TRACKING_PARAMS = /^(utm_.+|gclid|fbclid|msclkid|mc_cid|mc_eid|ref)$/i;
+
+// Text changes flagged between runs on the timeline
+const CHANGE_TRACKED_SECTIONS = ['headline', 'cta'];
+
+/**
+ * Canonical form of a URL for grouping runs: no fragment, no tracking
+ * parameters, sorted query, no trailing slash (except the root path).
+ * The URL parser already lowercases the host and drops default ports.
+ */
+export function normalizePageUrl(url) {
+  const urlObj = new URL(url);
+  urlObj.hash = '';
+
+  for (const key of [...urlObj.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) urlObj.searchParams.delete(key);
+  }
+  urlObj.searchParams.sort();
+  urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+
+  return urlObj.toString();
+}
+
+/**
+ * Stable page id derived from the workspace and normalized URL, so analyses
+ * can be assigned to their page without a lookup. Two workspaces tracking
+ * the same URL get separate pages.
+ */
+export function pageIdFor(url, workspaceId = null) {
+  try {
+    const normalized = normalizePageUrl(url);
+    const key = workspaceId ? `${workspaceId}:${normalized}` : normalized;
+    return createHash('sha256').update(key).digest('hex').slice(0, 32);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Recompute a page's summary from its latest completed run. Once it has no
+ * completed runs left the page is removed, unless it is monitored: then it
+ * keeps its monitor config and only the summary is cleared. Safe to call
+ * repeatedly.
+ */
+export async function refreshPage(pageId) {
+  if (!pageId) return;
+
+  const pages = await getCollection('pages');
+  const analyses = await getCollection('analyses');
+
+  const [latest, runCount] = await Promise.all([
+    analyses.findOne({ pageId, status: 'completed' }, { sort: { createdAt: -1 } }),
+    analyses.countDocuments({ pageId, status: 'completed' }),
+  ]);
+
+  if (!latest) {
+    await pages.deleteOne({ _id: pageId, 'monitor.enabled': { $ne: true } });
+    await pages.updateOne(
+      { _id: pageId },
+      { $set: { lastAnalysisId: null, lastAnalyzedAt: null, latestOverall: null, latestMlOverall: null, runCount: 0 } }
+    );
+    return;
+  }
+
+  await pages.updateOne(
+    { _id: pageId },
+    {
+      $setOnInsert: { url: normalizePageUrl(latest.url), createdAt: new Date() },
+      $set: {
+        workspaceId: latest.workspaceId ?? null,
+        lastAnalysisId: latest._id,
+        lastAnalyzedAt: latest.completedAt || latest.createdAt,
+        latestOverall: latest.scores?.overall ?? null,
+        latestMlOverall: latest.mlScores?.overall?.mlScore ?? null,
+        runCount,
+      },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Assign a `pageId` to analyses created before pages existed and build their
+ * page documents.
+ */
+export async function backfillPages() {
+  const analyses = await getCollection('analyses');
+  const legacy = await analyses
+    .find({ pageId: { $exists: false } }, { projection: { _id: 1, url: 1, workspaceId: 1 } })
+    .toArray();
+
+  if (legacy.length === 0) return;
+
+  const pageIds = new Set();
+  const operations = legacy.map((analysis) => {
+    const pageId = pageIdFor(analysis.url, analysis.workspaceId);
+    if (pageId) pageIds.add(pageId);
+    return { updateOne: { filter: { _id: analysis._id }, update: { $set: { pageId } } } };
+  });
+
+  await analyses.bulkWrite(operations, { ordered: false });
+  for (const pageId of pageIds) {
+    await refreshPage(pageId);
+  }
+
+  console.log(`Grouped ${legacy.length} existing analysis(es) into ${pageIds.size} page(s)`);
+}
+
+function sectionText(extractedContent, section) {
+  const value = extractedContent?.[section];
+  return Array.isArray(value) ? value.join('\n') : value || '';
+}
+
+/**
+ * A page with its runs oldest first. Each completed run carries the score
+ * change since the previous completed run and flags for headline/CTA text
+ * changes. Returns null if the page does not exist in the workspace.
+ */
+export async function getPageTimeline(pageId, workspaceId) {
+  const pages = await getCollection('pages');
+  const page = await pages.findOne({ _id: pageId, workspaceId });
+  if (!page) return null;
+
+  const analyses = await getCollection('analyses');
+  const items = await analyses
+    .find(
+      { pageId },
+      { projection: { url: 1, status: 1, createdAt: 1, completedAt: 1, error: 1, scores: 1, mlScores: 1, extractedContent: 1 } }
+    )
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  let previous = null;
+  const runs = items.map((item) => {
+    const run = {
+      analysisId: item._id,
+      url: item.url,
+      status: item.status,
+      createdAt: item.createdAt,
+      completedAt: item.completedAt,
+      error: item.error ?? null,
+      overall: item.scores?.overall ?? null,
+      mlOverall: item.mlScores?.overall?.mlScore ?? null,
+      sections: Object.fromEntries(SECTIONS.map((section) => [section, item.scores?.[section]?.score ?? null])),
+      text: Object.fromEntries(
+        CHANGE_TRACKED_SECTIONS.map((section) => [section, sectionText(item.extractedContent, section)])
+      ),
+      overallDelta: null,
+      changed: [],
+    };
+
+    if (item.status !== 'completed') return run;
+
+    if (previous) {
+      if (typeof run.overall === 'number' && typeof previous.overall === 'number') {
+        run.overallDelta = run.overall - previous.overall;
+      }
+      run.changed = CHANGE_TRACKED_SECTIONS.filter((section) => run.text[section] !== previous.text[section]);
+    }
+    previous = run;
+
+    return run;
+  });
+
+  return { ...page, runs };
+}
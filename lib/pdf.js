@@ -0,0 +1,209 @@
+// A minimal PDF writer for text reports: US Letter pages, the built-in
+// Helvetica fonts (no embedding) and automatic wrapping and page breaks.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const HEADER_HEIGHT = 36;
+const FOOTER_HEIGHT = 24;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const BRAND_COLOR = [0.49, 0.23, 0.93];
+const TEXT_COLOR = [0.1, 0.1, 0.12];
+const MUTED_COLOR = [0.42, 0.45, 0.5];
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the AFM
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+// Helvetica-Bold is slightly wider; an approximation is enough for wrapping
+const BOLD_FACTOR = 1.08;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+const STYLES = {
+  title: { font: 'F2', size: 20, leading: 26, before: 0, after: 6, color: TEXT_COLOR },
+  heading: { font: 'F2', size: 14, leading: 19, before: 14, after: 4, color: BRAND_COLOR },
+  subheading: { font: 'F2', size: 11, leading: 15, before: 10, after: 2, color: TEXT_COLOR },
+  text: { font: 'F1', size: 10, leading: 14, before: 2, after: 2, color: TEXT_COLOR },
+  muted: { font: 'F1', size: 9, leading: 12, before: 0, after: 2, color: MUTED_COLOR },
+  bullet: { font: 'F1', size: 10, leading: 14, before: 1, after: 1, color: TEXT_COLOR, indent: 14 },
+};
+
+/**
+ * Map text to single-byte WinAnsi codes. Unsupported characters become `?`.
+ */
+function toWinAnsi(text) {
+  let result = '';
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) result += String.fromCharCode(WIN_ANSI[char]);
+    else if (code === 9) result += ' ';
+    else if (code === 10) result += '\n';
+    else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) result += char;
+    else result += '?';
+  }
+  return result;
+}
+
+function textWidth(text, font, size) {
+  let units = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units * size * (font === 'F2' ? BOLD_FACTOR : 1)) / 1000;
+}
+
+/**
+ * Greedy word wrap. Words longer than a line (e.g. URLs) are split.
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = '';
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      while (textWidth(word, font, size) > maxWidth) {
+        let cut = word.length - 1;
+        while (cut > 1 && textWidth(word.slice(0, cut), font, size) > maxWidth) cut--;
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, cut));
+        word = word.slice(cut);
+      }
+
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) > maxWidth && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+function escapeText(text) {
+  return text.replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+function color([r, g, b]) {
+  return `${r} ${g} ${b} rg`;
+}
+
+function textOp(text, { font, size, x, y, fill }) {
+  return `BT ${color(fill)} /${font} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`;
+}
+
+function pageChrome(title, pageNumber, pageCount) {
+  const top = PAGE_HEIGHT - MARGIN;
+  return [
+    `${color(BRAND_COLOR)} ${MARGIN} ${top - 4} ${CONTENT_WIDTH} 4 re f`,
+    textOp('ConversionAI', { font: 'F2', size: 10, x: MARGIN, y: top - 20, fill: BRAND_COLOR }),
+    textOp(title, {
+      font: 'F1',
+      size: 9,
+      x: PAGE_WIDTH - MARGIN - textWidth(title, 'F1', 9),
+      y: top - 20,
+      fill: MUTED_COLOR,
+    }),
+    textOp(`Page ${pageNumber} of ${pageCount}`, { font: 'F1', size: 8, x: MARGIN, y: MARGIN - 12, fill: MUTED_COLOR }),
+  ];
+}
+
+/**
+ * Lay out `blocks` (`{ type, text }` with the types in STYLES, or
+ * `{ type: 'rule' }`) and return the PDF as a Buffer. `title` repeats in
+ * every page header.
+ */
+export function renderPdf(blocks, { title = '' } = {}) {
+  const headerTitle = toWinAnsi(title).slice(0, 80);
+  const pages = [];
+  let ops;
+  let y;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN - HEADER_HEIGHT;
+  };
+  const fits = (height) => y - height >= MARGIN + FOOTER_HEIGHT;
+
+  newPage();
+
+  for (const block of blocks) {
+    if (block.type === 'rule') {
+      if (!fits(12)) newPage();
+      y -= 6;
+      ops.push(`0.85 0.85 0.88 RG 0.5 w ${MARGIN} ${y} m ${PAGE_WIDTH - MARGIN} ${y} l S`);
+      y -= 6;
+      continue;
+    }
+
+    const style = STYLES[block.type] || STYLES.text;
+    const indent = style.indent || 0;
+    const lines = wrapText(toWinAnsi(block.text), style.font, style.size, CONTENT_WIDTH - indent);
+
+    // Keep headings with at least the first line of what follows
+    const keep = block.type === 'heading' || block.type === 'subheading' ? style.leading * 2 : style.leading;
+    if (!fits(style.before + keep)) newPage();
+    else y -= style.before;
+
+    lines.forEach((line, index) => {
+      if (!fits(style.leading)) newPage();
+      y -= style.leading;
+      if (block.type === 'bullet' && index === 0) {
+        ops.push(textOp('\x95', { font: 'F1', size: style.size, x: MARGIN + 3, y, fill: style.color }));
+      }
+      ops.push(textOp(line, { font: style.font, size: style.size, x: MARGIN + indent, y, fill: style.color }));
+    });
+
+    y -= style.after;
+  }
+
+  // Objects 1-4 are fixed; each page adds a page object and its content stream
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  ];
+
+  pages.forEach((pageOps, i) => {
+    const stream = [...pageChrome(headerTitle, i + 1, pages.length), ...pageOps].join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`
+    );
+    objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
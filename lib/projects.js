@@ -0,0 +1,92 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+
+/**
+ * Validate project fields. With `partial`, only the fields present are
+ * checked (for PATCH). Returns `{ fields }` or `{ error }`.
+ */
+export function validateProjectFields({ name, description } = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) return { error: '"name" is required' };
+    if (trimmed.length > 100) return { error: '"name" must be at most 100 characters' };
+    fields.name = trimmed;
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string' || description.length > 1000) {
+      return { error: '"description" must be a string of at most 1000 characters' };
+    }
+    fields.description = description.trim() || null;
+  } else if (description === null || !partial) {
+    fields.description = null;
+  }
+
+  return { fields };
+}
+
+export async function createProject(workspaceId, { name, description }, createdBy = null) {
+  const projects = await getCollection('projects');
+  const project = {
+    _id: uuidv4(),
+    workspaceId,
+    name,
+    description,
+    createdBy,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  await projects.insertOne(project);
+  return project;
+}
+
+export async function getProject(projectId, workspaceId) {
+  const projects = await getCollection('projects');
+  return projects.findOne({ _id: projectId, workspaceId });
+}
+
+/**
+ * Projects of a workspace by name, each with the number of analyses in it.
+ */
+export async function listProjects(workspaceId) {
+  const projects = await getCollection('projects');
+  const analyses = await getCollection('analyses');
+
+  const [found, counts] = await Promise.all([
+    projects.find({ workspaceId }).sort({ name: 1 }).toArray(),
+    analyses
+      .aggregate([
+        { $match: { workspaceId, projectId: { $ne: null } } },
+        { $group: { _id: '$projectId', count: { $sum: 1 } } },
+      ])
+      .toArray(),
+  ]);
+
+  const countById = new Map(counts.map(({ _id, count }) => [_id, count]));
+  return found.map((project) => ({ ...project, analysisCount: countById.get(project._id) || 0 }));
+}
+
+export async function updateProject(projectId, workspaceId, fields) {
+  const projects = await getCollection('projects');
+  return projects.findOneAndUpdate(
+    { _id: projectId, workspaceId },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Delete a project. Its analyses are kept and become unassigned.
+ */
+export async function deleteProject(projectId, workspaceId) {
+  const projects = await getCollection('projects');
+  const deleted = await projects.findOneAndDelete({ _id: projectId, workspaceId });
+  if (!deleted) return false;
+
+  const analyses = await getCollection('analyses');
+  await analyses.updateMany({ workspaceId, projectId }, { $set: { projectId: null } });
+  return true;
+}
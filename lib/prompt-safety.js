@@ -0,0 +1,64 @@
+import { randomUUID } from 'crypto';
+
+const SECTION_LABELS = {
+  headline: 'Headline',
+  subheadline: 'Subheadline',
+  cta: 'CTA',
+  bodyCopy: 'Body copy',
+};
+
+// Phrases that address an AI model rather than a site visitor
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b[^.]{0,40}\b(previous|prior|above|earlier|all|any|your)\b[^.]{0,20}\b(instructions?|prompts?|rules|directions)\b/i,
+  /\b(new|updated|real)\s+instructions?\s*:/i,
+  /\byou\s+are\s+(now\s+)?(an?\s+)?(ai|assistant|language model|chatgpt|gemini|claude|llm)\b/i,
+  /\b(system|developer)\s+(prompt|message|instructions?)\b/i,
+  /<\/?\s*(system|assistant|user|instructions?)\s*>/i,
+  /\b(score|rate|grade)\s+(this|it|the page|this page|the site)?\s*(a\s+)?(100|10\s*\/\s*10|100\s*\/\s*100|perfect|maximum|highest)\b/i,
+  /\b(give|assign)\s+(this|it|the page|this page|us)\s+(a\s+)?(perfect|high|maximum|top|100)\b/i,
+  /\bjailbreak\b/i,
+];
+
+/**
+ * Scan extracted page content for text that looks like instructions aimed at
+ * the analyzing model. Returns a list of warnings (empty when clean).
+ */
+export function detectPromptInjection(extractedContent) {
+  const warnings = [];
+
+  for (const [section, label] of Object.entries(SECTION_LABELS)) {
+    const value = extractedContent?.[section];
+    const text = Array.isArray(value) ? value.join(' \n') : value || '';
+
+    for (const pattern of INJECTION_PATTERNS) {
+      const match = text.match(pattern);
+      if (!match) continue;
+
+      const start = Math.max(0, match.index - 40);
+      warnings.push({
+        code: 'prompt_injection',
+        section,
+        message: `${label} contains text that looks like instructions to an AI ("${match[0].trim()}"). Scores may have been manipulated.`,
+        excerpt: text.slice(start, match.index + match[0].length + 40).trim(),
+      });
+      break;
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Wrap untrusted page content in a randomly named fence. Values are JSON
+ * encoded so quotes and newlines cannot break out, and any copy of the fence
+ * marker inside the content is removed.
+ */
+export function fenceUntrustedContent(content) {
+  const marker = `UNTRUSTED_PAGE_CONTENT_${randomUUID().replace(/-/g, '')}`;
+  const json = JSON.stringify(content, null, 2).split(marker).join('');
+
+  return {
+    marker,
+    fenced: `<<<${marker}\n${json}\n${marker}>>>`,
+  };
+}
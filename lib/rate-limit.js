@@ -0,0 +1,52 @@
+const DEFAULT_CAPACITY = parseInt(process.env.RATE_LIMIT_CAPACITY || '60');
+const DEFAULT_REFILL_PER_MINUTE = parseInt(process.env.RATE_LIMIT_REFILL_PER_MINUTE || '60');
+
+// Buckets untouched for this long are full again and can be dropped
+const IDLE_BUCKET_MS = 60 * 60 * 1000;
+
+/**
+ * Buckets live on globalThis so every route bundle in this process shares
+ * them (see lib/job-queue.js). Limits are therefore per server process.
+ */
+function getBuckets() {
+  if (!globalThis.__leadboostRateLimits) {
+    globalThis.__leadboostRateLimits = new Map();
+  }
+  return globalThis.__leadboostRateLimits;
+}
+
+function sweep(buckets, now) {
+  for (const [id, bucket] of buckets) {
+    if (now - bucket.updatedAt > IDLE_BUCKET_MS) buckets.delete(id);
+  }
+}
+
+/**
+ * Take `cost` tokens from the bucket for `id`. Buckets hold up to `capacity`
+ * tokens and refill continuously at `refillPerMinute`. Returns
+ * `{ allowed, limit, remaining, retryAfterSeconds }`.
+ */
+export function takeToken(id, { capacity = DEFAULT_CAPACITY, refillPerMinute = DEFAULT_REFILL_PER_MINUTE, cost = 1 } = {}) {
+  const buckets = getBuckets();
+  const now = Date.now();
+
+  if (buckets.size > 10000) sweep(buckets, now);
+
+  const bucket = buckets.get(id) || { tokens: capacity, updatedAt: now };
+  const refillPerMs = refillPerMinute / 60000;
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  buckets.set(id, bucket);
+
+  if (bucket.tokens >= cost) {
+    bucket.tokens -= cost;
+    return { allowed: true, limit: capacity, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+  }
+
+  return {
+    allowed: false,
+    limit: capacity,
+    remaining: 0,
+    retryAfterSeconds: Math.ceil((cost - bucket.tokens) / refillPerMs / 1000),
+  };
+}
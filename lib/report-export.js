@@ -0,0 +1,317 @@
+import { NextResponse } from 'next/server';
+import { SECTIONS } from '@/lib/analysis-summary';
+import { toCsv } from '@/lib/csv';
+import { renderPdf } from '@/lib/pdf';
+import { analysisName } from '@/lib/analysis-name';
+import { describeScoringContext } from '@/lib/scoring-context';
+
+export const EXPORT_FORMATS = ['pdf', 'md', 'csv', 'json'];
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  md: 'text/markdown; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+const SECTION_LABELS = {
+  headline: 'Headline',
+  subheadline: 'Subheadline',
+  cta: 'Call-to-Action',
+  bodyCopy: 'Body Copy',
+};
+
+// Sub-scores (0-10) reported per section, in display order
+const SECTION_METRICS = {
+  headline: ['clarity', 'specificity', 'actionability'],
+  subheadline: ['clarity', 'specificity'],
+  cta: ['actionability', 'persuasiveness'],
+  bodyCopy: ['readability', 'persuasiveness'],
+};
+
+function sectionText(extractedContent, section) {
+  const value = extractedContent?.[section];
+  return Array.isArray(value) ? value.join('\n') : value || '';
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+function formatScore(value) {
+  return typeof value === 'number' ? `${value}/100` : 'n/a';
+}
+
+function subScores(analysis, section) {
+  const scores = analysis.scores?.[section] || {};
+  return SECTION_METRICS[section]
+    .filter((metric) => typeof scores[metric] === 'number')
+    .map((metric) => `${metric} ${scores[metric]}/10`)
+    .join(', ');
+}
+
+function formatUplift(uplift) {
+  return uplift > 0 ? `+${uplift}` : String(uplift);
+}
+
+/**
+ * " (ML 78, +12 vs original)" for a ranked rewrite, plus any brand voice
+ * violations; empty for analyses from before rewrites were scored.
+ */
+function rewriteNote(score) {
+  if (!score) return '';
+  const uplift = score.uplift === null ? '' : `, ${formatUplift(score.uplift)} vs original`;
+  const offBrand = score.brandVoiceViolations?.length ? `, off-brand: ${score.brandVoiceViolations.join('; ')}` : '';
+  return ` (ML ${score.mlScore}${uplift}${score.belowOriginal ? ', below the original' : ''}${offBrand})`;
+}
+
+/**
+ * Document blocks for one completed analysis, shared by the PDF and
+ * Markdown renderers.
+ */
+function analysisBlocks(analysis) {
+  const blocks = [
+    {
+      type: 'heading',
+      text: analysis.label && analysis.url ? `${analysis.label} (${analysis.url})` : analysis.url || analysisName(analysis),
+    },
+    {
+      type: 'muted',
+      text: `Analyzed ${formatDate(analysis.completedAt || analysis.createdAt)} · AI score ${formatScore(
+        analysis.scores?.overall
+      )} · ML score ${formatScore(analysis.mlScores?.overall?.mlScore)}`,
+    },
+  ];
+
+  for (const warning of analysis.warnings || []) {
+    blocks.push({ type: 'muted', text: `Warning: ${warning.message}` });
+  }
+
+  const context = describeScoringContext(analysis.scoringContext);
+  if (context.length > 0) {
+    blocks.push({ type: 'muted', text: `Scored for: ${context.join(' · ')}` });
+  }
+
+  if (analysis.brandVoice) {
+    blocks.push({ type: 'muted', text: `Rewrites follow the "${analysis.brandVoice.name}" brand voice` });
+  }
+
+  if (analysis.explanations?.overall) {
+    blocks.push({ type: 'subheading', text: 'Overall assessment' }, { type: 'text', text: analysis.explanations.overall });
+  }
+
+  for (const section of SECTIONS) {
+    const metrics = subScores(analysis, section);
+    blocks.push(
+      {
+        type: 'subheading',
+        text: `${SECTION_LABELS[section]}: AI ${formatScore(analysis.scores?.[section]?.score)}, ML ${formatScore(
+          analysis.mlScores?.[section]?.mlScore
+        )}`,
+      },
+      { type: 'muted', text: `Current copy: ${sectionText(analysis.extractedContent, section) || '(not found)'}` }
+    );
+    if (metrics) blocks.push({ type: 'muted', text: metrics });
+    if (analysis.explanations?.[section]) {
+      blocks.push({ type: 'text', text: analysis.explanations[section] });
+    }
+
+    const rewrites = analysis.rewrites?.[section] || [];
+    if (rewrites.length > 0) {
+      blocks.push({ type: 'text', text: 'Suggested rewrites (best predicted first):' });
+      rewrites.forEach((rewrite, idx) =>
+        blocks.push({ type: 'bullet', text: `${rewrite}${rewriteNote(analysis.rewriteScores?.[section]?.[idx])}` })
+      );
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Blocks for a whole report: a title, an optional summary of the group
+ * (batch or crawl) and every completed analysis in turn.
+ */
+function reportBlocks(analyses, { title, summary, skipped = [] }) {
+  const blocks = [
+    { type: 'title', text: title },
+    { type: 'muted', text: `Exported ${formatDate(new Date())} · ${analyses.length} page(s)` },
+  ];
+
+  if (summary) {
+    blocks.push(
+      { type: 'heading', text: 'Summary' },
+      {
+        type: 'text',
+        text: `Average AI score ${formatScore(summary.averageOverall)}, average ML score ${formatScore(
+          summary.averageMlOverall
+        )}.`,
+      }
+    );
+    if (summary.best) blocks.push({ type: 'bullet', text: `Best: ${summary.best.url} (${summary.best.score}/100)` });
+    if (summary.worst) blocks.push({ type: 'bullet', text: `Weakest: ${summary.worst.url} (${summary.worst.score}/100)` });
+    for (const section of SECTIONS) {
+      blocks.push({ type: 'bullet', text: `${SECTION_LABELS[section]} average: ${formatScore(summary.sections?.[section])}` });
+    }
+  }
+
+  if (skipped.length > 0) {
+    blocks.push({ type: 'heading', text: 'Not included' });
+    skipped.forEach((item) =>
+      blocks.push({ type: 'bullet', text: `${item.url}: ${item.status === 'failed' ? item.error || 'failed' : item.status}` })
+    );
+  }
+
+  analyses.forEach((analysis) => {
+    blocks.push({ type: 'rule' }, ...analysisBlocks(analysis));
+  });
+
+  return blocks;
+}
+
+function toMarkdown(blocks) {
+  const escape = (text) => String(text).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+  return blocks
+    .map((block) => {
+      switch (block.type) {
+        case 'title':
+          return `# ${escape(block.text)}`;
+        case 'heading':
+          return `## ${escape(block.text)}`;
+        case 'subheading':
+          return `### ${escape(block.text)}`;
+        case 'muted':
+          return `_${escape(block.text).replace(/\n+/g, ' ')}_`;
+        case 'bullet':
+          return `- ${escape(block.text).replace(/\n+/g, ' ')}`;
+        case 'rule':
+          return '---';
+        default:
+          return escape(block.text);
+      }
+    })
+    .join('\n\n')
+    .replace(/\n\n(?=- )/g, '\n') + '\n';
+}
+
+function toCsvRows(analyses) {
+  const rows = [[
+    'analysisId', 'url', 'analyzedAt', 'overallScore', 'mlOverallScore', 'section',
+    'currentCopy', 'aiScore', 'mlScore', 'subScores', 'explanation', 'rewrites', 'rewriteMlScores',
+  ]];
+
+  for (const analysis of analyses) {
+    for (const section of SECTIONS) {
+      rows.push([
+        analysis._id,
+        analysis.url,
+        formatDate(analysis.completedAt || analysis.createdAt),
+        analysis.scores?.overall ?? null,
+        analysis.mlScores?.overall?.mlScore ?? null,
+        section,
+        sectionText(analysis.extractedContent, section),
+        analysis.scores?.[section]?.score ?? null,
+        analysis.mlScores?.[section]?.mlScore ?? null,
+        subScores(analysis, section),
+        analysis.explanations?.[section] ?? '',
+        (analysis.rewrites?.[section] || []).join('\n'),
+        // One line per rewrite, in the same order
+        (analysis.rewriteScores?.[section] || [])
+          .map((score) => `${score.mlScore}${score.uplift === null ? '' : ` (${formatUplift(score.uplift)})`}`)
+          .join('\n'),
+      ]);
+    }
+  }
+
+  return rows;
+}
+
+function toJson(analyses, { title, summary }) {
+  return JSON.stringify(
+    {
+      title,
+      exportedAt: new Date(),
+      summary: summary ?? null,
+      analyses: analyses.map((analysis) => ({
+        _id: analysis._id,
+        url: analysis.url,
+        source: analysis.source ?? 'url',
+        label: analysis.label ?? null,
+        createdAt: analysis.createdAt,
+        completedAt: analysis.completedAt,
+        extractedContent: analysis.extractedContent,
+        scores: analysis.scores,
+        mlScores: analysis.mlScores,
+        explanations: analysis.explanations,
+        rewrites: analysis.rewrites,
+        rewriteScores: analysis.rewriteScores ?? null,
+        rewriteHistory: analysis.rewriteHistory || [],
+        brandVoice: analysis.brandVoice ?? null,
+        scoringContext: analysis.scoringContext ?? null,
+        warnings: analysis.warnings || [],
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Render completed analyses as one file. `summary` (a batch or crawl
+ * scoreSummary) and `skipped` (analyses that did not complete) are optional.
+ * Returns `{ body, contentType, filename }`.
+ */
+export function exportAnalyses(analyses, format, { title, filename, summary = null, skipped = [] }) {
+  let body;
+  if (format === 'pdf') {
+    body = renderPdf(reportBlocks(analyses, { title, summary, skipped }), { title });
+  } else if (format === 'md') {
+    body = toMarkdown(reportBlocks(analyses, { title, summary, skipped }));
+  } else if (format === 'csv') {
+    body = toCsv(toCsvRows(analyses));
+  } else {
+    body = toJson(analyses, { title, summary });
+  }
+
+  return { body, contentType: CONTENT_TYPES[format], filename: `${filename}.${format}` };
+}
+
+/**
+ * A file name stem like `conversionai-example-com-2024-05-01`.
+ */
+export function exportFilename(name, date = new Date()) {
+  const slug = String(name || 'report')
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `conversionai-${slug || 'report'}-${formatDate(date)}`;
+}
+
+/**
+ * Validate `?format=`. Returns `{ format }` or a 400 `{ response }`.
+ */
+export function readExportFormat(request) {
+  const format = new URL(request.url).searchParams.get('format') || 'pdf';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return {
+      response: NextResponse.json(
+        { error: `"format" must be one of: ${EXPORT_FORMATS.join(', ')}` },
+        { status: 400 }
+      ),
+    };
+  }
+  return { format };
+}
+
+export function exportResponse({ body, contentType, filename }) {
+  return new NextResponse(body, {
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
@@ -0,0 +1,155 @@
+import { z } from 'zod';
+
+// Section weights used when the model omits the overall score (see README)
+const OVERALL_WEIGHTS = { headline: 0.30, subheadline: 0.25, cta: 0.25, bodyCopy: 0.20 };
+
+// A sub-score from here up to 100 is read as a 0-100 score, not as a slight
+// overshoot of 10 (which is clamped)
+const PERCENT_SUB_SCORE_FLOOR = 20;
+
+function toScoreNumber(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * A numeric score in [0, max]. Numeric strings are coerced and values just
+ * outside the range are clamped.
+ */
+function boundedScore(max) {
+  return z.preprocess((value) => {
+    const number = toScoreNumber(value);
+    if (number === null) return value;
+
+    return Math.round(Math.max(0, Math.min(max, number)) * 10) / 10;
+  }, z.number({ invalid_type_error: `Expected a number between 0 and ${max}` }));
+}
+
+const score100 = boundedScore(100).transform((value) => Math.round(value));
+
+// Models mix up the 0-10 and 0-100 scales, so a sub-score that is clearly on
+// the 0-100 scale is scaled down
+const score10 = z.preprocess((value) => {
+  const number = toScoreNumber(value);
+  return number !== null && number >= PERCENT_SUB_SCORE_FLOOR && number <= 100 ? number / 10 : value;
+}, boundedScore(10));
+
+/**
+ * One section's `score` and 0-10 sub-scores. If every sub-score is above 10,
+ * the model used the 0-100 scale for all of them and they are scaled down
+ * together, so 12 reads as 1.2 only then.
+ */
+function sectionScores(...subScoreNames) {
+  return z.preprocess(
+    (section) => {
+      if (!section || typeof section !== 'object') return section;
+
+      const numbers = subScoreNames.map((name) => toScoreNumber(section[name]));
+      if (!numbers.every((number) => number !== null && number > 10 && number <= 100)) return section;
+
+      return { ...section, ...Object.fromEntries(subScoreNames.map((name, i) => [name, numbers[i] / 10])) };
+    },
+    z.object({ score: score100, ...Object.fromEntries(subScoreNames.map((name) => [name, score10])) })
+  );
+}
+
+const explanation = z.preprocess(
+  (value) => (typeof value === 'string' ? value.trim() : value),
+  z.string().min(1, 'Explanation must not be empty')
+);
+
+/**
+ * Rewrites should be a list of strings. A lone string is wrapped, and
+ * `{ text }` style objects are unwrapped.
+ */
+const rewriteList = z.preprocess((value) => {
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list)) return list;
+
+  return list
+    .map((item) => (item && typeof item === 'object' ? item.text ?? item.rewrite ?? item.value : item))
+    .map((item) => (typeof item === 'string' ? item.trim() : item))
+    .filter((item) => item !== '' && item !== null && item !== undefined);
+}, z.array(z.string()).min(1, 'Provide at least one rewrite'));
+
+const scoresSchema = z
+  .object({
+    overall: score100.optional(),
+    headline: sectionScores('clarity', 'specificity', 'actionability'),
+    subheadline: sectionScores('clarity', 'specificity'),
+    cta: sectionScores('actionability', 'persuasiveness'),
+    bodyCopy: sectionScores('readability', 'persuasiveness'),
+  })
+  .transform((scores) => ({
+    ...scores,
+    overall:
+      scores.overall ??
+      Math.round(
+        Object.entries(OVERALL_WEIGHTS).reduce(
+          (sum, [section, weight]) => sum + scores[section].score * weight,
+          0
+        )
+      ),
+  }));
+
+export const analysisReportSchema = z.object({
+  scores: scoresSchema,
+  explanations: z.object({
+    overall: explanation,
+    headline: explanation,
+    subheadline: explanation,
+    cta: explanation,
+    bodyCopy: explanation,
+  }),
+  rewrites: z.object({
+    headline: rewriteList,
+    subheadline: rewriteList,
+    cta: rewriteList,
+    bodyCopy: rewriteList,
+  }),
+  // Set by the model when the page content tried to instruct it
+  injectionDetected: z.preprocess(
+    (value) => (value === 'true' ? true : value === 'false' ? false : value),
+    z.boolean().optional().default(false)
+  ),
+});
+
+function issueMessages(error) {
+  return error.issues.map((issue) => {
+    const path = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+    return `${path}: ${issue.message}`;
+  });
+}
+
+/**
+ * Validate and normalize a parsed AI report. Returns `{ report }` on success
+ * or `{ errors }` with one readable line per problem.
+ */
+export function validateReport(raw) {
+  const result = analysisReportSchema.safeParse(raw);
+
+  if (result.success) {
+    return { report: result.data };
+  }
+
+  return { errors: issueMessages(result.error) };
+}
+
+/**
+ * Validate new rewrites for one section, `{ "rewrites": [...] }`. Returns
+ * `{ rewrites }` or `{ errors }` like validateReport.
+ */
+export function validateSectionRewrites(raw, section) {
+  // Models (and the fixture provider) sometimes answer in the full report
+  // shape, with the list under `rewrites[section]`
+  const nested = raw?.rewrites && !Array.isArray(raw.rewrites) && typeof raw.rewrites === 'object';
+  const result = z
+    .object({ rewrites: rewriteList })
+    .safeParse(nested ? { rewrites: raw.rewrites[section] } : raw);
+
+  if (result.success) {
+    return { rewrites: result.data.rewrites };
+  }
+
+  return { errors: issueMessages(result.error) };
+}
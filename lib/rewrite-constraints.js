@@ -0,0 +1,103 @@
+const DEFAULT_VARIANTS = 3;
+const MAX_VARIANTS = 5;
+const MAX_TONE_LENGTH = 60;
+const MAX_TERMS = 10;
+const MAX_TERM_LENGTH = 50;
+
+// Longest rewrite worth asking for per section, and the floor for `maxChars`
+const MAX_CHARS = { headline: 300, subheadline: 500, cta: 100, bodyCopy: 800 };
+const MIN_CHARS = 10;
+
+function readTerms(value, name) {
+  if (value === undefined || value === null) return { terms: [] };
+  if (!Array.isArray(value) || value.some((term) => typeof term !== 'string')) {
+    return { error: `"${name}" must be an array of strings` };
+  }
+
+  const terms = [...new Set(value.map((term) => term.trim().replace(/\s+/g, ' ')).filter(Boolean))];
+  if (terms.length > MAX_TERMS) return { error: `"${name}" can list at most ${MAX_TERMS} entries` };
+  if (terms.some((term) => term.length > MAX_TERM_LENGTH)) {
+    return { error: `Each entry of "${name}" must be at most ${MAX_TERM_LENGTH} characters` };
+  }
+  return { terms };
+}
+
+/**
+ * Validate the constraints for regenerating one section's rewrites:
+ *
+ * - `variants`: how many new rewrites to generate (1-5, default 3)
+ * - `maxChars`: longest acceptable rewrite
+ * - `tone`: free text such as "playful" or "formal, no exclamation marks"
+ * - `mustInclude`: words or phrases every rewrite has to contain
+ * - `forbiddenWords`: words or phrases no rewrite may contain
+ *
+ * Returns `{ constraints }` or `{ error }`.
+ */
+export function validateRewriteConstraints(section, body = {}) {
+  const variants = body.variants ?? DEFAULT_VARIANTS;
+  if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+    return { error: `"variants" must be an integer from 1 to ${MAX_VARIANTS}` };
+  }
+
+  const maxChars = body.maxChars ?? null;
+  if (maxChars !== null && (!Number.isInteger(maxChars) || maxChars < MIN_CHARS || maxChars > MAX_CHARS[section])) {
+    return { error: `"maxChars" must be an integer from ${MIN_CHARS} to ${MAX_CHARS[section]} for ${section}` };
+  }
+
+  let tone = null;
+  if (body.tone !== undefined && body.tone !== null) {
+    if (typeof body.tone !== 'string' || body.tone.trim().length > MAX_TONE_LENGTH) {
+      return { error: `"tone" must be a string of at most ${MAX_TONE_LENGTH} characters` };
+    }
+    tone = body.tone.trim() || null;
+  }
+
+  const mustInclude = readTerms(body.mustInclude, 'mustInclude');
+  const forbiddenWords = readTerms(body.forbiddenWords, 'forbiddenWords');
+  const termError = mustInclude.error || forbiddenWords.error;
+  if (termError) return { error: termError };
+
+  const clash = mustInclude.terms.find((term) =>
+    forbiddenWords.terms.some((forbidden) => forbidden.toLowerCase() === term.toLowerCase())
+  );
+  if (clash) return { error: `"${clash}" cannot be both required and forbidden` };
+
+  return {
+    constraints: {
+      variants,
+      maxChars,
+      tone,
+      mustInclude: mustInclude.terms,
+      forbiddenWords: forbiddenWords.terms,
+    },
+  };
+}
+
+/**
+ * Match a word or phrase on its own, case-insensitively, so forbidding
+ * "free" does not reject "freedom".
+ */
+export function containsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * The hard constraints a rewrite breaks, one readable line each (empty when
+ * it complies). `tone` cannot be checked mechanically and is left to the model.
+ */
+export function constraintViolations(text, constraints) {
+  const violations = [];
+
+  if (constraints.maxChars && text.length > constraints.maxChars) {
+    violations.push(`is ${text.length} characters, over the ${constraints.maxChars} character limit`);
+  }
+  for (const term of constraints.mustInclude) {
+    if (!containsTerm(text, term)) violations.push(`does not include "${term}"`);
+  }
+  for (const term of constraints.forbiddenWords) {
+    if (containsTerm(text, term)) violations.push(`uses the forbidden word "${term}"`);
+  }
+
+  return violations;
+}
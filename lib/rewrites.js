@@ -0,0 +1,79 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { generateSectionRewrites } from '@/lib/ai-analyzer';
+import { rankRewrites } from '@/lib/dl-analyzer';
+import { flagBrandVoice } from '@/lib/brand-voices';
+
+/**
+ * Generate more rewrites for one section of a completed analysis and store
+ * them. New rewrites are added to `rewrites[section]` (never replacing the
+ * existing ones), the section is re-ranked best-first, and the run is
+ * recorded in `rewriteHistory`:
+ *
+ *   { _id, section, constraints, rewrites, provider, model, attempts, requestedBy, createdAt }
+ *
+ * `rewriteScores` entries carry the `generationId` of the run that produced
+ * them (null for the rewrites of the original analysis). The analysis's brand
+ * voice and scoring context apply to the new rewrites like the original ones.
+ *
+ * Returns the updated analysis and the new generation, or `{ conflict: true }`
+ * if the section's rewrites changed while generating.
+ */
+export async function regenerateRewrites(analysis, section, constraints, requestedBy = null) {
+  const existing = analysis.rewrites?.[section] || [];
+
+  const generated = await generateSectionRewrites(analysis.extractedContent, section, constraints, {
+    llm: analysis.llm,
+    brandVoice: analysis.brandVoice,
+    context: analysis.scoringContext,
+    previousRewrites: existing,
+  });
+
+  const generation = {
+    _id: uuidv4(),
+    section,
+    constraints,
+    rewrites: generated.rewrites,
+    provider: generated.provider,
+    model: generated.model,
+    attempts: generated.attempts,
+    requestedBy,
+    createdAt: new Date(),
+  };
+
+  // Rewrites already stored keep the generation they came from
+  const generationIds = new Map(
+    (analysis.rewriteScores?.[section] || []).map(({ text, generationId }) => [text, generationId ?? null])
+  );
+  for (const text of generated.rewrites) generationIds.set(text, generation._id);
+
+  const ranked = await rankRewrites(
+    { [section]: [...existing, ...generated.rewrites] },
+    analysis.mlScores,
+    analysis.scoringContext
+  );
+  const scores = flagBrandVoice(ranked.rewriteScores, analysis.brandVoice)[section].map((entry) => ({
+    ...entry,
+    generationId: generationIds.get(entry.text) ?? null,
+  }));
+
+  const collection = await getCollection('analyses');
+  const updated = await collection.findOneAndUpdate(
+    // Only if nobody else added rewrites to this section in the meantime
+    { _id: analysis._id, workspaceId: analysis.workspaceId, [`rewrites.${section}`]: analysis.rewrites?.[section] ?? null },
+    {
+      $set: {
+        [`rewrites.${section}`]: ranked.rewrites[section],
+        // Analyses from before ranking have no rewriteScores to set a section in
+        ...(analysis.rewriteScores
+          ? { [`rewriteScores.${section}`]: scores }
+          : { rewriteScores: { [section]: scores } }),
+      },
+      $push: { rewriteHistory: generation },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!updated) return { conflict: true };
+  return { analysis: updated, generation };
+}
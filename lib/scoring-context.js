@@ -0,0 +1,138 @@
+// Who a page is for and what it is meant to do. Imported by the dashboard
+// too, so this module must stay free of server-only dependencies.
+
+export const AUDIENCES = {
+  consumer: 'Consumers',
+  developer: 'Developers',
+  smb: 'Small businesses',
+  enterprise: 'Enterprise buyers',
+};
+
+export const PAGE_TYPES = {
+  homepage: 'Homepage',
+  landing: 'Landing page',
+  product: 'Product page',
+  pricing: 'Pricing page',
+  blog: 'Blog post',
+  signup: 'Sign-up page',
+};
+
+export const FUNNEL_STAGES = {
+  awareness: 'Top of funnel (awareness)',
+  consideration: 'Middle of funnel (consideration)',
+  decision: 'Bottom of funnel (decision)',
+};
+
+const MAX_INDUSTRY_LENGTH = 60;
+
+function readChoice(value, name, choices) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  if (!Object.hasOwn(choices, value)) {
+    return { error: `"${name}" must be one of: ${Object.keys(choices).join(', ')}` };
+  }
+  return { value };
+}
+
+/**
+ * Validate the optional `audience`, `industry`, `pageType` and `funnelStage`
+ * of a request. Returns `{ context }`, null when none is given, or `{ error }`.
+ */
+export function validateScoringContext(body = {}) {
+  const audience = readChoice(body.audience, 'audience', AUDIENCES);
+  const pageType = readChoice(body.pageType, 'pageType', PAGE_TYPES);
+  const funnelStage = readChoice(body.funnelStage, 'funnelStage', FUNNEL_STAGES);
+  const choiceError = audience.error || pageType.error || funnelStage.error;
+  if (choiceError) return { error: choiceError };
+
+  let industry = null;
+  if (body.industry !== undefined && body.industry !== null) {
+    if (typeof body.industry !== 'string' || body.industry.trim().length > MAX_INDUSTRY_LENGTH) {
+      return { error: `"industry" must be a string of at most ${MAX_INDUSTRY_LENGTH} characters` };
+    }
+    industry = body.industry.trim() || null;
+  }
+
+  const context = { audience: audience.value, industry, pageType: pageType.value, funnelStage: funnelStage.value };
+  return { context: Object.values(context).some(Boolean) ? context : null };
+}
+
+/**
+ * Readable labels for the parts of a context that are set, e.g.
+ * `['Enterprise buyers', 'Fintech', 'Pricing page', 'Bottom of funnel (decision)']`.
+ */
+export function describeScoringContext(context) {
+  if (!context) return [];
+  return [
+    AUDIENCES[context.audience],
+    context.industry,
+    PAGE_TYPES[context.pageType],
+    FUNNEL_STAGES[context.funnelStage],
+  ].filter(Boolean);
+}
+
+const PAGE_TYPE_STAGES = {
+  blog: 'awareness',
+  homepage: 'awareness',
+  landing: 'consideration',
+  product: 'consideration',
+  pricing: 'decision',
+  signup: 'decision',
+};
+
+/**
+ * The funnel stage a page is judged at: the one given, or the usual stage
+ * of its page type.
+ */
+export function effectiveFunnelStage(context) {
+  return context?.funnelStage || PAGE_TYPE_STAGES[context?.pageType] || null;
+}
+
+// Section weights of the overall ML score (see README)
+const DEFAULT_SECTION_WEIGHTS = { headline: 0.30, subheadline: 0.25, cta: 0.25, bodyCopy: 0.20 };
+
+// Multipliers for the points each heuristic feature earns in the ML scorers.
+// Anything not listed stays at 1.
+const AUDIENCE_FEATURE_WEIGHTS = {
+  consumer: {},
+  // Hype and pressure put developers off; free tiers and hard numbers help
+  developer: { emotional: 0, power: 0, urgency: 0.5, freeOffer: 1.3, number: 1.2 },
+  smb: { freeOffer: 1.3, benefit: 1.2 },
+  // Long, committee-driven purchases: credibility over urgency
+  enterprise: { urgency: 0.3, emotional: 0.3, power: 0, freeOffer: 0.5, socialProof: 1.5, number: 1.2 },
+};
+
+const STAGE_WEIGHTS = {
+  // Readers are exploring: the copy matters more than a hard CTA
+  awareness: {
+    sections: { headline: 0.35, subheadline: 0.25, cta: 0.15, bodyCopy: 0.25 },
+    features: { urgency: 0.5, freeOffer: 0.7, question: 2 },
+  },
+  consideration: {
+    sections: DEFAULT_SECTION_WEIGHTS,
+    features: { socialProof: 1.3, benefit: 1.2 },
+  },
+  // Readers are ready to act: the CTA carries the page
+  decision: {
+    sections: { headline: 0.25, subheadline: 0.20, cta: 0.35, bodyCopy: 0.20 },
+    features: { urgency: 1.2, freeOffer: 1.2 },
+  },
+};
+
+/**
+ * Weights for the rule-based ML scorers: `sections` for the overall score
+ * and `features`, multipliers for each heuristic feature's points. Audience
+ * and funnel stage multipliers compound. With no context every multiplier
+ * is 1 and the section weights are the defaults.
+ */
+export function mlWeights(context) {
+  const stage = STAGE_WEIGHTS[effectiveFunnelStage(context)];
+  const features = {};
+
+  for (const adjustments of [AUDIENCE_FEATURE_WEIGHTS[context?.audience], stage?.features]) {
+    for (const [feature, multiplier] of Object.entries(adjustments || {})) {
+      features[feature] = (features[feature] ?? 1) * multiplier;
+    }
+  }
+
+  return { sections: stage?.sections || DEFAULT_SECTION_WEIGHTS, features };
+}
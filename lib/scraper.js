@@ -1,29 +1,26 @@
 import * as cheerio from 'cheerio';
+import { safeFetch, NetworkPolicyError } from '@/lib/network-policy';
 
 export async function scrapeWebsite(url) {
   try {
-    // Validate URL
-    const urlObj = new URL(url);
-    if (!['http:', 'https:'].includes(urlObj.protocol)) {
-      throw new Error('Invalid URL protocol. Only HTTP and HTTPS are supported.');
-    }
-
-    // Fetch the HTML
-    const response = await fetch(url, {
+    // Fetch the HTML under the network policy (SSRF protection, size and content-type limits)
+    const response = await safeFetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml',
       },
-      signal: AbortSignal.timeout(10000), // 10 second timeout
     });
 
-    if (!response.ok) {
+    if (response.status < 200 || response.status >= 300) {
       throw new Error(`Failed to fetch website: ${response.status} ${response.statusText}`);
     }
 
-    const html = await response.text();
-    return html;
+    return response.body;
   } catch (error) {
     console.error('Scraping error:', error);
+    if (error instanceof NetworkPolicyError) {
+      throw new NetworkPolicyError(error.code, `Failed to scrape website: ${error.message}`);
+    }
     throw new Error(`Failed to scrape website: ${error.message}`);
   }
 }
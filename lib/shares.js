@@ -0,0 +1,131 @@
+import { randomBytes } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { hashToken } from '@/lib/auth';
+
+export const MAX_SHARE_DAYS = 365;
+
+/**
+ * Validate share options. `expiresInDays` is optional; without it the link
+ * works until revoked. Returns `{ options }` or `{ error }`.
+ */
+export function validateShareOptions({ expiresInDays, hideMlDetails } = {}) {
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+      return { error: `"expiresInDays" must be a number between 1 and ${MAX_SHARE_DAYS}` };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+  return { options: { expiresAt, hideMlDetails: Boolean(hideMlDetails) } };
+}
+
+/**
+ * Shares as returned by the API: never the hash. The token itself is only
+ * returned once, from createShare.
+ */
+export function publicShare(share) {
+  const { hash, ...rest } = share;
+  return rest;
+}
+
+export async function createShare(analysisId, workspaceId, { expiresAt, hideMlDetails, createdBy = null }) {
+  const shares = await getCollection('shares');
+  const token = `shr_${randomBytes(24).toString('base64url')}`;
+
+  const share = {
+    _id: uuidv4(),
+    analysisId,
+    workspaceId,
+    prefix: token.slice(0, 10),
+    hash: hashToken(token),
+    hideMlDetails,
+    createdBy,
+    createdAt: new Date(),
+    expiresAt,
+    lastViewedAt: null,
+    revokedAt: null,
+  };
+
+  await shares.insertOne(share);
+  return { share, token };
+}
+
+export async function listShares(analysisId, workspaceId) {
+  const shares = await getCollection('shares');
+  const found = await shares.find({ analysisId, workspaceId }).sort({ createdAt: -1 }).toArray();
+  return found.map(publicShare);
+}
+
+export async function revokeShare(shareId, analysisId, workspaceId) {
+  const shares = await getCollection('shares');
+  const result = await shares.updateOne(
+    { _id: shareId, analysisId, workspaceId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * The fields of an analysis a share link exposes: the report as in
+ * `GET /api/analyses/:id`, without workspace, job or model configuration
+ * details. `hideMlDetails` also drops the raw ML feature flags.
+ */
+function sharedAnalysis(analysis, { hideMlDetails }) {
+  let mlScores = analysis.mlScores ?? null;
+  if (mlScores && hideMlDetails) {
+    mlScores = Object.fromEntries(
+      Object.entries(mlScores).map(([section, ml]) => {
+        const { features, ...rest } = ml || {};
+        return [section, rest];
+      })
+    );
+  }
+
+  return {
+    _id: analysis._id,
+    url: analysis.url,
+    label: analysis.label ?? null,
+    source: analysis.source ?? 'url',
+    status: analysis.status,
+    createdAt: analysis.createdAt,
+    completedAt: analysis.completedAt,
+    extractedContent: analysis.extractedContent,
+    scores: analysis.scores,
+    explanations: analysis.explanations,
+    rewrites: analysis.rewrites,
+    rewriteScores: analysis.rewriteScores ?? null,
+    // Only the name: the profile itself is internal to the workspace
+    brandVoice: analysis.brandVoice ? { name: analysis.brandVoice.name } : null,
+    scoringContext: analysis.scoringContext ?? null,
+    mlScores,
+    mlPredictions: analysis.mlPredictions ?? null,
+    warnings: analysis.warnings || [],
+  };
+}
+
+/**
+ * Resolve a share token to the read-only analysis it points at, or null if
+ * the token is unknown, revoked or expired, or the analysis is gone.
+ */
+export async function resolveShare(token) {
+  if (typeof token !== 'string' || !token.startsWith('shr_')) return null;
+
+  const shares = await getCollection('shares');
+  const share = await shares.findOne({ hash: hashToken(token) });
+  if (!share || share.revokedAt || (share.expiresAt && share.expiresAt < new Date())) return null;
+
+  const analyses = await getCollection('analyses');
+  const analysis = await analyses.findOne({ _id: share.analysisId, workspaceId: share.workspaceId, status: 'completed' });
+  if (!analysis) return null;
+
+  shares
+    .updateOne({ _id: share._id }, { $set: { lastViewedAt: new Date() } })
+    .catch((error) => console.error('Failed to record share view:', error.message));
+
+  return {
+    share: { expiresAt: share.expiresAt, hideMlDetails: share.hideMlDetails },
+    analysis: sharedAnalysis(analysis, share),
+  };
+}
@@ -0,0 +1,54 @@
+import { getCollection } from '@/lib/db';
+
+export const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Tags are free-form but normalized so that "Q3 Launch" and "q3  launch"
+ * match: trimmed, lower-cased, inner whitespace collapsed, no duplicates.
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Validate a replacement tag list. Returns `{ tags }` or `{ error }`.
+ */
+export function validateTags(tags) {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+    return { error: '"tags" must be an array of strings' };
+  }
+
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) {
+    return { error: `At most ${MAX_TAGS} tags are allowed` };
+  }
+  const tooLong = normalized.find((tag) => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    return { error: `Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters` };
+  }
+  // Commas separate tags in the `?tags=` filter
+  if (normalized.some((tag) => tag.includes(','))) {
+    return { error: 'Tags cannot contain commas' };
+  }
+
+  return { tags: normalized };
+}
+
+/**
+ * Every tag used in a workspace with the number of analyses carrying it,
+ * most used first.
+ */
+export async function listTags(workspaceId) {
+  const analyses = await getCollection('analyses');
+  const counts = await analyses
+    .aggregate([
+      { $match: { workspaceId, tags: { $exists: true, $ne: [] } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ])
+    .toArray();
+
+  return counts.map(({ _id, count }) => ({ tag: _id, count }));
+}
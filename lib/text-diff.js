@@ -0,0 +1,63 @@
+// Above this many tokens per side the O(n*m) table gets too large; such
+// texts are reported as a single replacement instead.
+const MAX_DIFF_TOKENS = 2000;
+
+function tokenize(text) {
+  return (text || '').split(/(\s+)/).filter(Boolean);
+}
+
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+}
+
+/**
+ * Word-level diff of two strings (longest common subsequence). Returns
+ * `[{ type: 'equal' | 'removed' | 'added', text }]`; joining the `equal`
+ * and `removed` parts gives `before`, `equal` and `added` gives `after`.
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+
+  if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) {
+    if (a.length) parts.push({ type: 'removed', text: a.join('') });
+    if (b.length) parts.push({ type: 'added', text: b.join('') });
+    return parts;
+  }
+
+  // lengths[i * width + j] = LCS length of a[i:] and b[j:]
+  const width = b.length + 1;
+  const lengths = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      pushPart(parts, 'removed', a[i++]);
+    } else {
+      pushPart(parts, 'added', b[j++]);
+    }
+  }
+  while (i < a.length) pushPart(parts, 'removed', a[i++]);
+  while (j < b.length) pushPart(parts, 'added', b[j++]);
+
+  return parts;
+}
@@ -0,0 +1,97 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+
+const scryptAsync = promisify(scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const derived = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const derived = await scryptAsync(password, salt, KEY_LENGTH);
+  return timingSafeEqual(derived, Buffer.from(hash, 'hex'));
+}
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Users as returned by the API, without the password hash.
+ */
+export function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Validate sign-up fields. Returns `{ fields }` or `{ error }`.
+ */
+export function validateUserFields({ email, name, password } = {}) {
+  const normalized = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    return { error: 'A valid email is required' };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  return { fields: { email: normalized, name: name ? String(name).trim() : null, password } };
+}
+
+export async function countUsers() {
+  const users = await getCollection('users');
+  return users.countDocuments({}, { limit: 1 });
+}
+
+/**
+ * Create a user. Returns null if the email is already registered.
+ */
+export async function createUser({ email, name, password }) {
+  const users = await getCollection('users');
+  const user = {
+    _id: uuidv4(),
+    email: normalizeEmail(email),
+    name: name || null,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date(),
+  };
+
+  try {
+    await users.insertOne(user);
+  } catch (error) {
+    // Duplicate key on the unique email index
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return user;
+}
+
+export async function findUserById(userId) {
+  const users = await getCollection('users');
+  return users.findOne({ _id: userId });
+}
+
+export async function findUserByEmail(email) {
+  const users = await getCollection('users');
+  return users.findOne({ email: normalizeEmail(email) });
+}
+
+/**
+ * The user for an email/password pair, or null.
+ */
+export async function authenticateUser(email, password) {
+  const user = await findUserByEmail(email);
+  if (!user || typeof password !== 'string') return null;
+  return (await verifyPassword(password, user.passwordHash)) ? user : null;
+}
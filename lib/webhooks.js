@@ -0,0 +1,186 @@
+import { createHmac, randomBytes } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { enqueueJob } from '@/lib/job-queue';
+import { assertUrlAllowed, postJson } from '@/lib/network-policy';
+
+export const WEBHOOK_DELIVERY_JOB = 'webhook-delivery';
+
+export const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'batch.completed', 'monitor.regression'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5');
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature sent in `X-LeadBoost-Signature` as `t=<unix seconds>,v1=<hex>`,
+ * where v1 is HMAC-SHA256 of `<t>.<raw body>` keyed with the subscription
+ * secret. Receivers should recompute it and reject stale timestamps.
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Validate subscription fields from the API. With `partial`, missing fields
+ * are left alone (PATCH). Returns `{ fields }` or `{ error }`.
+ */
+export function validateWebhookFields(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.url !== undefined || !partial) {
+    if (!body.url) return { error: 'URL is required' };
+    try {
+      fields.url = assertUrlAllowed(body.url).toString();
+    } catch (error) {
+      return { error: error.message, code: error.code };
+    }
+  }
+
+  if (body.events !== undefined || !partial) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return { error: `"events" must list at least one of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    const unknown = body.events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { error: `Unknown event(s): ${unknown.join(', ')}` };
+    }
+    fields.events = [...new Set(body.events)];
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description ? String(body.description) : null;
+  }
+  if (body.active !== undefined) {
+    fields.active = Boolean(body.active);
+  }
+
+  return { fields };
+}
+
+/**
+ * Subscriptions as returned by the API: the secret is only shown in full
+ * when the subscription is created or the secret rotated.
+ */
+export function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secretHint: `${secret.slice(0, 10)}...` };
+}
+
+/**
+ * Queue one delivery of `event` to every active subscription for it in the
+ * workspace. `eventId` must be stable for the occurrence (e.g. per analysis)
+ * so that a retried caller does not deliver the same event twice.
+ */
+export async function emitWebhookEvent(workspaceId, event, eventId, data) {
+  if (!workspaceId) return;
+
+  const webhooks = await getCollection('webhooks');
+  const subscribers = await webhooks
+    .find({ workspaceId, active: true, events: event }, { projection: { _id: 1 } })
+    .toArray();
+  if (subscribers.length === 0) return;
+
+  const deliveries = await getCollection('webhook_deliveries');
+  const createdAt = new Date();
+  const payload = { id: eventId, event, createdAt, data };
+
+  for (const webhook of subscribers) {
+    const deliveryId = `${eventId}:${webhook._id}`;
+    await deliveries.updateOne(
+      { _id: deliveryId },
+      {
+        $setOnInsert: {
+          webhookId: webhook._id,
+          event,
+          eventId,
+          payload,
+          status: 'pending',
+          attempts: [],
+          createdAt,
+          deliveredAt: null,
+        },
+      },
+      { upsert: true }
+    );
+    await enqueueJob(WEBHOOK_DELIVERY_JOB, { deliveryId }, { id: `webhook:${deliveryId}`, maxAttempts: MAX_ATTEMPTS });
+  }
+}
+
+export async function createWebhook(fields, workspaceId) {
+  const webhooks = await getCollection('webhooks');
+  const now = new Date();
+  const webhook = {
+    _id: uuidv4(),
+    workspaceId,
+    url: fields.url,
+    events: fields.events,
+    description: fields.description ?? null,
+    active: fields.active ?? true,
+    secret: generateWebhookSecret(),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await webhooks.insertOne(webhook);
+  return webhook;
+}
+
+export const webhookDeliveryJobHandler = {
+  async run({ deliveryId }) {
+    const deliveries = await getCollection('webhook_deliveries');
+    const delivery = await deliveries.findOne({ _id: deliveryId });
+    if (!delivery || delivery.status === 'delivered') return;
+
+    const webhooks = await getCollection('webhooks');
+    const webhook = await webhooks.findOne({ _id: delivery.webhookId });
+    if (!webhook?.active) {
+      await deliveries.updateOne({ _id: deliveryId }, { $set: { status: 'cancelled' } });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let status = null;
+    let error = null;
+
+    try {
+      const response = await postJson(webhook.url, body, {
+        timeoutMs: TIMEOUT_MS,
+        headers: {
+          'User-Agent': 'LeadBoost-Webhooks/1.0',
+          'X-LeadBoost-Event': delivery.event,
+          'X-LeadBoost-Delivery': deliveryId,
+          'X-LeadBoost-Signature': `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, body)}`,
+        },
+      });
+      status = response.status;
+      if (status < 200 || status >= 300) {
+        error = new Error(`Webhook responded ${status} ${response.statusText || ''}`.trim());
+      }
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    await deliveries.updateOne(
+      { _id: deliveryId },
+      {
+        $push: {
+          attempts: { at: new Date(startedAt), status, error: error?.message ?? null, durationMs: Date.now() - startedAt },
+        },
+        $set: error ? { status: 'retrying' } : { status: 'delivered', deliveredAt: new Date() },
+      }
+    );
+
+    if (error) throw error;
+  },
+
+  async onFailure({ deliveryId }) {
+    const deliveries = await getCollection('webhook_deliveries');
+    await deliveries.updateOne({ _id: deliveryId }, { $set: { status: 'failed' } });
+  },
+};
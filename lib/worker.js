@@ -0,0 +1,35 @@
+import { startJobWorker } from '@/lib/job-queue';
+import {
+  ANALYSIS_JOB,
+  ANALYSIS_OUTCOME_JOB,
+  analysisJobHandler,
+  analysisOutcomeJobHandler,
+  recoverOrphanedAnalyses,
+} from '@/lib/analysis-pipeline';
+import { CRAWL_JOB, crawlJobHandler } from '@/lib/crawls';
+import { backfillPages } from '@/lib/pages';
+import { backfillWorkspaces } from '@/lib/workspaces';
+import { WEBHOOK_DELIVERY_JOB, webhookDeliveryJobHandler } from '@/lib/webhooks';
+import { MONITOR_JOB, ALERT_WEBHOOK_JOB, monitorJobHandler, alertWebhookJobHandler, scheduleMonitors } from '@/lib/monitors';
+
+/**
+ * Start the background job worker for this process (idempotent). Called from
+ * instrumentation on boot and from routes that enqueue work.
+ */
+export async function ensureJobWorker() {
+  const started = await startJobWorker({
+    [ANALYSIS_JOB]: analysisJobHandler,
+    [ANALYSIS_OUTCOME_JOB]: analysisOutcomeJobHandler,
+    [CRAWL_JOB]: crawlJobHandler,
+    [MONITOR_JOB]: monitorJobHandler,
+    [ALERT_WEBHOOK_JOB]: alertWebhookJobHandler,
+    [WEBHOOK_DELIVERY_JOB]: webhookDeliveryJobHandler,
+  });
+
+  if (started) {
+    await backfillWorkspaces();
+    await backfillPages();
+    await recoverOrphanedAnalyses();
+    await scheduleMonitors();
+  }
+}
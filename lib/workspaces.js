@@ -0,0 +1,219 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getCollection } from '@/lib/db';
+import { pageIdFor, refreshPage } from '@/lib/pages';
+
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+// API scopes (see lib/auth.js) each role grants in its workspace
+export const ROLE_SCOPES = {
+  owner: ['read', 'analyze', 'delete', 'admin'],
+  editor: ['read', 'analyze', 'delete'],
+  viewer: ['read'],
+};
+
+/**
+ * Validate a workspace name. Returns `{ name }` or `{ error }`.
+ */
+export function validateWorkspaceName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return { error: '"name" is required' };
+  if (trimmed.length > 100) return { error: '"name" must be at most 100 characters' };
+  return { name: trimmed };
+}
+
+export async function getWorkspace(workspaceId) {
+  const workspaces = await getCollection('workspaces');
+  return workspaces.findOne({ _id: workspaceId });
+}
+
+export async function listWorkspaces() {
+  const workspaces = await getCollection('workspaces');
+  return workspaces.find({}).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * The LLM `{ provider, model }` the workspace's analyses use unless a request
+ * picks one, or null for the environment default.
+ */
+export async function getWorkspaceLlm(workspaceId) {
+  const workspace = workspaceId ? await getWorkspace(workspaceId) : null;
+  return workspace?.llm ?? null;
+}
+
+/**
+ * Update workspace settings: `name`, `defaultBrandVoiceId` (the brand voice
+ * analyses use unless they pick one, see lib/brand-voices.js) and/or `llm`.
+ */
+export async function updateWorkspace(workspaceId, fields) {
+  const workspaces = await getCollection('workspaces');
+  return workspaces.findOneAndUpdate(
+    { _id: workspaceId },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+export async function createWorkspace(name, ownerUserId) {
+  const workspaces = await getCollection('workspaces');
+  const memberships = await getCollection('memberships');
+
+  const workspace = { _id: uuidv4(), name, defaultBrandVoiceId: null, llm: null, createdAt: new Date() };
+  await workspaces.insertOne(workspace);
+  await memberships.insertOne({
+    _id: uuidv4(),
+    workspaceId: workspace._id,
+    userId: ownerUserId,
+    role: 'owner',
+    createdAt: new Date(),
+  });
+
+  return workspace;
+}
+
+export async function getMembership(workspaceId, userId) {
+  if (!workspaceId || !userId) return null;
+  const memberships = await getCollection('memberships');
+  return memberships.findOne({ workspaceId, userId });
+}
+
+/**
+ * Workspaces a user belongs to, oldest first, each with the user's `role`.
+ */
+export async function listUserWorkspaces(userId) {
+  const memberships = await getCollection('memberships');
+  const mine = await memberships.find({ userId }).sort({ createdAt: 1 }).toArray();
+  if (mine.length === 0) return [];
+
+  const workspaces = await getCollection('workspaces');
+  const found = await workspaces.find({ _id: { $in: mine.map((m) => m.workspaceId) } }).toArray();
+  const byId = new Map(found.map((workspace) => [workspace._id, workspace]));
+
+  return mine
+    .filter((membership) => byId.has(membership.workspaceId))
+    .map((membership) => ({ ...byId.get(membership.workspaceId), role: membership.role }));
+}
+
+export async function listMembers(workspaceId) {
+  const memberships = await getCollection('memberships');
+  const members = await memberships.find({ workspaceId }).sort({ createdAt: 1 }).toArray();
+
+  const users = await getCollection('users');
+  const found = await users
+    .find({ _id: { $in: members.map((m) => m.userId) } }, { projection: { email: 1, name: 1 } })
+    .toArray();
+  const byId = new Map(found.map((user) => [user._id, user]));
+
+  return members.map((membership) => ({
+    userId: membership.userId,
+    email: byId.get(membership.userId)?.email ?? null,
+    name: byId.get(membership.userId)?.name ?? null,
+    role: membership.role,
+    createdAt: membership.createdAt,
+  }));
+}
+
+/**
+ * Add a user to a workspace, or change their role if already a member.
+ */
+export async function setMemberRole(workspaceId, userId, role) {
+  const memberships = await getCollection('memberships');
+  const existing = await memberships.findOne({ workspaceId, userId });
+
+  if (existing?.role === 'owner' && role !== 'owner' && (await countOwners(workspaceId)) <= 1) {
+    return { error: 'A workspace needs at least one owner' };
+  }
+
+  await memberships.updateOne(
+    { workspaceId, userId },
+    {
+      $set: { role },
+      $setOnInsert: { _id: uuidv4(), createdAt: new Date() },
+    },
+    { upsert: true }
+  );
+  return { role };
+}
+
+export async function removeMember(workspaceId, userId) {
+  const memberships = await getCollection('memberships');
+  const existing = await memberships.findOne({ workspaceId, userId });
+  if (!existing) return { notFound: true };
+
+  if (existing.role === 'owner' && (await countOwners(workspaceId)) <= 1) {
+    return { error: 'A workspace needs at least one owner' };
+  }
+
+  await memberships.deleteOne({ _id: existing._id });
+  return {};
+}
+
+async function countOwners(workspaceId) {
+  const memberships = await getCollection('memberships');
+  return memberships.countDocuments({ workspaceId, role: 'owner' });
+}
+
+// Collections whose documents belong to a workspace and need no id changes
+const OWNED_COLLECTIONS = ['batches', 'crawls', 'webhooks'];
+
+/**
+ * Move data created before workspaces existed into the oldest workspace.
+ * Analyses get workspace-specific page ids, so legacy pages are re-keyed
+ * (keeping their monitor settings) and their alerts follow. Does nothing
+ * until the first user has signed up.
+ */
+export async function backfillWorkspaces() {
+  const workspaces = await getCollection('workspaces');
+  const [target] = await workspaces.find({}).sort({ createdAt: 1 }).limit(1).toArray();
+  if (!target) return;
+
+  const workspaceId = target._id;
+  const legacy = { workspaceId: { $exists: false } };
+
+  const analyses = await getCollection('analyses');
+  const legacyAnalyses = await analyses.find(legacy, { projection: { _id: 1, url: 1 } }).toArray();
+  if (legacyAnalyses.length > 0) {
+    await analyses.bulkWrite(
+      legacyAnalyses.map((analysis) => ({
+        updateOne: {
+          filter: { _id: analysis._id },
+          update: { $set: { workspaceId, pageId: pageIdFor(analysis.url, workspaceId) } },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  const pages = await getCollection('pages');
+  const alerts = await getCollection('alerts');
+  const legacyPages = await pages.find(legacy).toArray();
+  for (const page of legacyPages) {
+    const pageId = pageIdFor(page.url, workspaceId);
+    const monitor = page.monitor ? { ...page.monitor, nextRunAt: null } : undefined;
+
+    await pages.updateOne(
+      { _id: pageId },
+      { $setOnInsert: { ...page, _id: pageId, workspaceId, ...(monitor && { monitor }) } },
+      { upsert: true }
+    );
+    await pages.deleteOne({ _id: page._id });
+    await alerts.updateMany({ pageId: page._id }, { $set: { pageId } });
+    await refreshPage(pageId);
+  }
+
+  await alerts.updateMany(legacy, { $set: { workspaceId } });
+  for (const name of OWNED_COLLECTIONS) {
+    const collection = await getCollection(name);
+    await collection.updateMany(legacy, { $set: { workspaceId } });
+  }
+
+  // Old dashboard sessions had no user; API keys keep their scopes
+  const keys = await getCollection('api_keys');
+  await keys.updateMany({ ...legacy, type: 'api' }, { $set: { workspaceId } });
+  await keys.updateMany({ ...legacy, type: 'session' }, { $set: { workspaceId: null, revokedAt: new Date() } });
+
+  if (legacyAnalyses.length > 0 || legacyPages.length > 0) {
+    console.log(
+      `Moved ${legacyAnalyses.length} analysis(es) and ${legacyPages.length} page(s) into workspace ${workspaceId}`
+    );
+  }
+}
@@ -4,6 +4,8 @@ const nextConfig = {
     unoptimized: true,
   },
   experimental: {
+    // Runs instrumentation.js on boot to start the analysis job worker
+    instrumentationHook: true,
     // Externalize packages with native bindings for Server Components
     serverComponentsExternalPackages: [
       'mongodb',
@@ -38,18 +40,21 @@ const nextConfig = {
     pagesBufferLength: 2,
   },
   async headers() {
-    return [
-      {
-        source: "/(.*)",
-        headers: [
-          { key: "X-Frame-Options", value: "ALLOWALL" },
-          { key: "Content-Security-Policy", value: "frame-ancestors *;" },
-          { key: "Access-Control-Allow-Origin", value: process.env.CORS_ORIGINS || "*" },
-          { key: "Access-Control-Allow-Methods", value: "GET, POST, PUT, DELETE, OPTIONS" },
-          { key: "Access-Control-Allow-Headers", value: "*" },
-        ],
-      },
+    const headers = [
+      { key: "X-Frame-Options", value: "ALLOWALL" },
+      { key: "Content-Security-Policy", value: "frame-ancestors *;" },
     ];
+
+    // Cross-origin API access is opt-in; API keys are sent as headers, never cookies
+    if (process.env.CORS_ORIGINS) {
+      headers.push(
+        { key: "Access-Control-Allow-Origin", value: process.env.CORS_ORIGINS },
+        { key: "Access-Control-Allow-Methods", value: "GET, POST, PUT, PATCH, DELETE, OPTIONS" },
+        { key: "Access-Control-Allow-Headers", value: "Content-Type, Authorization, X-API-Key, X-Workspace-Id" },
+      );
+    }
+
+    return [{ source: "/(.*)", headers }];
   },
 };
 